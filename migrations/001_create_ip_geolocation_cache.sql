@@ -0,0 +1,7 @@
+-- Persistent IP -> geolocation cache shared across enrichment runs.
+-- Entries older than GEOLOCATION_CACHE_TTL_HOURS are refreshed from the API.
+create table if not exists id_ip_geolocation_cache (
+  ip_address text primary key,
+  payload jsonb not null,
+  fetched_at timestamptz not null default now()
+);
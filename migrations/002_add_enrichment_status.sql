@@ -0,0 +1,13 @@
+-- Per-user enrichment bookkeeping so failed and unresolvable IPs are not
+-- re-queried on every run. enrichment_status is null (never attempted),
+-- 'enriched', 'retry' (backing off until enrichment_next_attempt_at) or
+-- 'unresolvable' (terminal).
+alter table id_users
+  add column if not exists enrichment_status text,
+  add column if not exists enrichment_attempts integer not null default 0,
+  add column if not exists enrichment_last_attempt_at timestamptz,
+  add column if not exists enrichment_next_attempt_at timestamptz,
+  add column if not exists enrichment_last_error text;
+
+create index if not exists id_users_enrichment_status_idx
+  on id_users (enrichment_status, enrichment_next_attempt_at);
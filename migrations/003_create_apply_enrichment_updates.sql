@@ -0,0 +1,34 @@
+-- Batched enrichment writes: applies one row update per element of `updates`
+-- (a JSON array of objects keyed by user_id) in a single statement.
+-- Location columns are only filled while still null; enrichment_* status
+-- columns are overwritten. Assumes id_users.user_id is text.
+create or replace function id_apply_enrichment_updates(updates jsonb)
+returns void
+language sql
+as $$
+  update id_users u set
+    country_name_official = coalesce(u.country_name_official, r.country_name_official),
+    state = coalesce(u.state, r.state),
+    city = coalesce(u.city, r.city),
+    district = coalesce(u.district, r.district),
+    country_code = coalesce(u.country_code, r.country_code),
+    enrichment_status = r.enrichment_status,
+    enrichment_attempts = r.enrichment_attempts,
+    enrichment_last_attempt_at = r.enrichment_last_attempt_at,
+    enrichment_next_attempt_at = r.enrichment_next_attempt_at,
+    enrichment_last_error = r.enrichment_last_error
+  from jsonb_to_recordset(updates) as r(
+    user_id text,
+    country_name_official text,
+    state text,
+    city text,
+    district text,
+    country_code text,
+    enrichment_status text,
+    enrichment_attempts integer,
+    enrichment_last_attempt_at timestamptz,
+    enrichment_next_attempt_at timestamptz,
+    enrichment_last_error text
+  )
+  where u.user_id = r.user_id;
+$$;
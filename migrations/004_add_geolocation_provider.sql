@@ -0,0 +1,41 @@
+-- Record which geolocation provider produced each cached payload and filled
+-- each user's location. Rows cached before providers existed came from
+-- ipgeolocation.io.
+alter table id_ip_geolocation_cache
+  add column if not exists provider text not null default 'ipgeolocation';
+
+alter table id_users
+  add column if not exists geolocation_provider text;
+
+create or replace function id_apply_enrichment_updates(updates jsonb)
+returns void
+language sql
+as $$
+  update id_users u set
+    country_name_official = coalesce(u.country_name_official, r.country_name_official),
+    state = coalesce(u.state, r.state),
+    city = coalesce(u.city, r.city),
+    district = coalesce(u.district, r.district),
+    country_code = coalesce(u.country_code, r.country_code),
+    geolocation_provider = coalesce(r.geolocation_provider, u.geolocation_provider),
+    enrichment_status = r.enrichment_status,
+    enrichment_attempts = r.enrichment_attempts,
+    enrichment_last_attempt_at = r.enrichment_last_attempt_at,
+    enrichment_next_attempt_at = r.enrichment_next_attempt_at,
+    enrichment_last_error = r.enrichment_last_error
+  from jsonb_to_recordset(updates) as r(
+    user_id text,
+    country_name_official text,
+    state text,
+    city text,
+    district text,
+    country_code text,
+    geolocation_provider text,
+    enrichment_status text,
+    enrichment_attempts integer,
+    enrichment_last_attempt_at timestamptz,
+    enrichment_next_attempt_at timestamptz,
+    enrichment_last_error text
+  )
+  where u.user_id = r.user_id;
+$$;
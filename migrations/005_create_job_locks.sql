@@ -0,0 +1,9 @@
+-- Leases that keep cron-driven jobs from overlapping, within one process or
+-- across PM2 instances. A lock whose expires_at has passed belongs to a holder
+-- that crashed and may be taken over.
+create table if not exists id_job_locks (
+  name text primary key,
+  owner text not null,
+  acquired_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
@@ -0,0 +1,12 @@
+-- History of upstream changes applied to existing users by the sync.
+-- `changes` maps each changed column to {"from": ..., "to": ...}.
+create table if not exists id_user_changes (
+  id bigserial primary key,
+  user_id text not null,
+  changed_at timestamptz not null default now(),
+  changes jsonb not null,
+  ip_changed boolean not null default false
+);
+
+create index if not exists id_user_changes_user_id_idx
+  on id_user_changes (user_id, changed_at);
@@ -0,0 +1,20 @@
+-- One row per reconciliation run comparing the upstream users API with id_users.
+-- *_sample columns hold up to RECONCILIATION_SAMPLE_SIZE user_ids per category.
+create table if not exists id_reconciliation_reports (
+  id bigserial primary key,
+  started_at timestamptz not null,
+  finished_at timestamptz,
+  status text not null,
+  repair boolean not null default false,
+  pages_scanned integer not null default 0,
+  upstream_count integer not null default 0,
+  missing_count integer not null default 0,
+  extra_count integer not null default 0,
+  changed_count integer not null default 0,
+  inserted_count integer not null default 0,
+  updated_count integer not null default 0,
+  missing_sample jsonb not null default '[]',
+  extra_sample jsonb not null default '[]',
+  changed_sample jsonb not null default '[]',
+  error text
+);
@@ -0,0 +1,15 @@
+-- Upstream users rejected by the sync's schema check (see validateUpstreamUser).
+-- `payload` is the record exactly as the API returned it; `payload_hash` keeps the
+-- same bad record from being stored again on every sync that sees it.
+create table if not exists id_user_quarantine (
+  id bigserial primary key,
+  user_id text,
+  reason text not null,
+  payload jsonb not null,
+  payload_hash text not null unique,
+  page integer,
+  quarantined_at timestamptz not null default now()
+);
+
+create index if not exists id_user_quarantine_user_id_idx
+  on id_user_quarantine (user_id);
@@ -0,0 +1,97 @@
+-- Dashboard rollups of id_users, one row per UTC signup day and dimension value.
+-- Missing dimension values are stored as '' (shown as "unknown"). The tables are
+-- maintained by id_refresh_user_rollups() after every sync and enrichment run.
+create table if not exists id_signups_daily (
+  day date primary key,
+  signups integer not null,
+  refreshed_at timestamptz not null default now()
+);
+
+create table if not exists id_signups_by_location (
+  day date not null,
+  country_code text not null default '',
+  state text not null default '',
+  city text not null default '',
+  signups integer not null,
+  refreshed_at timestamptz not null default now(),
+  primary key (day, country_code, state, city)
+);
+
+create table if not exists id_signups_by_identifier_type (
+  day date not null,
+  identifier_type text not null default '',
+  signups integer not null,
+  refreshed_at timestamptz not null default now(),
+  primary key (day, identifier_type)
+);
+
+-- Finding the users a run touched, and the users of one day
+create index if not exists id_users_created_at_idx on id_users (created_at);
+create index if not exists id_users_ingested_at_idx on id_users (ingested_at);
+create index if not exists id_users_enrichment_last_attempt_at_idx on id_users (enrichment_last_attempt_at);
+create index if not exists id_user_changes_changed_at_idx on id_user_changes (changed_at);
+
+-- Recompute the rollup rows of every signup day with a user inserted, updated from
+-- upstream or attempted by enrichment since p_since. With p_since null, all rollup
+-- rows are rebuilt from scratch. Returns the number of days recomputed.
+create or replace function id_refresh_user_rollups(p_since timestamptz default null)
+returns integer
+language plpgsql
+as $$
+declare
+  v_days date[];
+begin
+  if p_since is null then
+    select coalesce(array_agg(distinct (created_at at time zone 'utc')::date), '{}')
+      into v_days
+      from id_users
+      where created_at is not null;
+
+    delete from id_signups_daily where true;
+    delete from id_signups_by_location where true;
+    delete from id_signups_by_identifier_type where true;
+  else
+    select coalesce(array_agg(distinct day), '{}')
+      into v_days
+      from (
+        select (created_at at time zone 'utc')::date as day
+          from id_users
+          where ingested_at >= p_since or enrichment_last_attempt_at >= p_since
+        union
+        select (u.created_at at time zone 'utc')::date
+          from id_user_changes c
+          join id_users u on u.user_id = c.user_id
+          where c.changed_at >= p_since
+      ) touched
+      where day is not null;
+
+    delete from id_signups_daily where day = any(v_days);
+    delete from id_signups_by_location where day = any(v_days);
+    delete from id_signups_by_identifier_type where day = any(v_days);
+  end if;
+
+  with day_users as (
+    select d.day, u.country_code, u.state, u.city, u.identifier_type
+      from unnest(v_days) as d(day)
+      join id_users u
+        on u.created_at >= d.day::timestamp at time zone 'utc'
+       and u.created_at < (d.day + 1)::timestamp at time zone 'utc'
+  ),
+  daily as (
+    insert into id_signups_daily (day, signups)
+      select day, count(*) from day_users group by day
+  ),
+  by_location as (
+    insert into id_signups_by_location (day, country_code, state, city, signups)
+      select day, coalesce(country_code, ''), coalesce(state, ''), coalesce(city, ''), count(*)
+        from day_users
+        group by 1, 2, 3, 4
+  )
+  insert into id_signups_by_identifier_type (day, identifier_type, signups)
+    select day, coalesce(identifier_type, ''), count(*)
+      from day_users
+      group by 1, 2;
+
+  return coalesce(array_length(v_days, 1), 0);
+end;
+$$;
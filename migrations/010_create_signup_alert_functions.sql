@@ -0,0 +1,29 @@
+-- Signup counts used by the alert rules (see src/alerts.js). Both count users by
+-- upstream created_at, using the created_at index from migration 009.
+
+-- Signups per UTC hour since p_since; hours without signups are omitted
+create or replace function id_count_signups_by_hour(p_since timestamptz)
+returns table (hour timestamptz, signups integer)
+language sql
+stable
+as $$
+  select date_trunc('hour', created_at, 'utc'), count(*)::integer
+    from id_users
+    where created_at >= p_since
+    group by 1
+    order by 1;
+$$;
+
+-- IP addresses with at least p_min_signups users created since p_since
+create or replace function id_count_signups_by_ip(p_since timestamptz, p_min_signups integer)
+returns table (ip_address text, signups integer)
+language sql
+stable
+as $$
+  select ip_address, count(*)::integer
+    from id_users
+    where created_at >= p_since and ip_address is not null
+    group by ip_address
+    having count(*) >= p_min_signups
+    order by 2 desc;
+$$;
@@ -0,0 +1,21 @@
+-- Outbox of user events (user.created, user.updated, user.enriched), one row per
+-- event and webhook endpoint. status is 'pending' (waiting for next_attempt_at),
+-- 'delivered' or 'dead' (gave up after WEBHOOK_MAX_ATTEMPTS; see last_error).
+create table if not exists id_event_outbox (
+  id bigserial primary key,
+  event_id uuid not null,
+  event_type text not null,
+  user_id text,
+  endpoint text not null,
+  payload jsonb not null,
+  status text not null default 'pending',
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_error text,
+  created_at timestamptz not null default now(),
+  delivered_at timestamptz,
+  unique (event_id, endpoint)
+);
+
+create index if not exists id_event_outbox_due_idx
+  on id_event_outbox (status, next_attempt_at);
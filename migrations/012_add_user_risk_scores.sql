@@ -0,0 +1,76 @@
+-- Sign-up risk scores computed by the enrichment service (see src/risk-scoring.js).
+-- risk_score is 0-100; risk_reasons is a JSON array of
+-- {"signal": ..., "weight": ..., "detail": ...}. risk_scored_at is null until the
+-- user is scored, and is cleared again when upstream changes its email or IP.
+-- email_normalized is the address with +tags (and Gmail dots) removed, used to
+-- find aliases of existing accounts.
+alter table id_users
+  add column if not exists risk_score smallint,
+  add column if not exists risk_reasons jsonb,
+  add column if not exists risk_scored_at timestamptz,
+  add column if not exists email_normalized text;
+
+create index if not exists id_users_risk_scored_at_idx on id_users (risk_scored_at);
+create index if not exists id_users_email_normalized_idx on id_users (email_normalized);
+create index if not exists id_users_ip_address_idx on id_users (ip_address, created_at);
+
+-- Network of an IP address for subnet grouping: /24 for IPv4, /48 for IPv6.
+-- Null for values that don't parse as an IP address.
+create or replace function id_ip_subnet(p_ip text)
+returns cidr
+language plpgsql
+immutable
+as $$
+declare
+  v_ip inet;
+begin
+  v_ip := p_ip::inet;
+  return network(set_masklen(v_ip, case when family(v_ip) = 4 then 24 else 48 end));
+exception when others then
+  return null;
+end;
+$$;
+
+-- For each of p_user_ids, the number of other users created within p_window_minutes
+-- (either side) of it from the same IP address, and from the same subnet (same IP
+-- included)
+create or replace function id_count_related_signups(p_user_ids text[], p_window_minutes integer)
+returns table (user_id text, ip_signups integer, subnet_signups integer)
+language sql
+stable
+as $$
+  select
+    u.user_id,
+    count(*) filter (where o.ip_address = u.ip_address)::integer,
+    count(o.user_id)::integer
+  from id_users u
+  left join id_users o
+    on o.user_id <> u.user_id
+   and o.created_at between u.created_at - make_interval(mins => p_window_minutes)
+                        and u.created_at + make_interval(mins => p_window_minutes)
+   and id_ip_subnet(o.ip_address) = id_ip_subnet(u.ip_address)
+  where u.user_id = any(p_user_ids)
+    and u.ip_address is not null
+  group by u.user_id;
+$$;
+
+-- Batched risk score writes, one row update per element of `updates` (a JSON
+-- array of objects keyed by user_id)
+create or replace function id_apply_risk_scores(updates jsonb)
+returns void
+language sql
+as $$
+  update id_users u set
+    risk_score = r.risk_score,
+    risk_reasons = r.risk_reasons,
+    risk_scored_at = r.risk_scored_at,
+    email_normalized = r.email_normalized
+  from jsonb_to_recordset(updates) as r(
+    user_id text,
+    risk_score smallint,
+    risk_reasons jsonb,
+    risk_scored_at timestamptz,
+    email_normalized text
+  )
+  where u.user_id = r.user_id;
+$$;
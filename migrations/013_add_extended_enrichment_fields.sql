@@ -0,0 +1,73 @@
+-- Extended enrichment columns: coordinates, time zone, network (ASN, ISP,
+-- organisation) and anonymiser flags, filled like the other location columns
+-- (only while null). geolocation_payload keeps the provider response the columns
+-- were read from, so new mappings can be applied without another lookup.
+alter table id_users
+  add column if not exists latitude double precision,
+  add column if not exists longitude double precision,
+  add column if not exists timezone text,
+  add column if not exists asn bigint,
+  add column if not exists isp text,
+  add column if not exists organization text,
+  add column if not exists is_vpn boolean,
+  add column if not exists is_proxy boolean,
+  add column if not exists is_tor boolean,
+  add column if not exists geolocation_payload jsonb;
+
+-- Per-network dashboard breakdowns
+create index if not exists id_users_asn_idx on id_users (asn);
+
+-- Same as migration 003, plus the new columns. geolocation_payload is replaced
+-- whenever an update carries one (successful lookups) and kept otherwise.
+create or replace function id_apply_enrichment_updates(updates jsonb)
+returns void
+language sql
+as $$
+  update id_users u set
+    country_name_official = coalesce(u.country_name_official, r.country_name_official),
+    state = coalesce(u.state, r.state),
+    city = coalesce(u.city, r.city),
+    district = coalesce(u.district, r.district),
+    country_code = coalesce(u.country_code, r.country_code),
+    latitude = coalesce(u.latitude, r.latitude),
+    longitude = coalesce(u.longitude, r.longitude),
+    timezone = coalesce(u.timezone, r.timezone),
+    asn = coalesce(u.asn, r.asn),
+    isp = coalesce(u.isp, r.isp),
+    organization = coalesce(u.organization, r.organization),
+    is_vpn = coalesce(u.is_vpn, r.is_vpn),
+    is_proxy = coalesce(u.is_proxy, r.is_proxy),
+    is_tor = coalesce(u.is_tor, r.is_tor),
+    geolocation_provider = coalesce(r.geolocation_provider, u.geolocation_provider),
+    geolocation_payload = coalesce(r.geolocation_payload, u.geolocation_payload),
+    enrichment_status = r.enrichment_status,
+    enrichment_attempts = r.enrichment_attempts,
+    enrichment_last_attempt_at = r.enrichment_last_attempt_at,
+    enrichment_next_attempt_at = r.enrichment_next_attempt_at,
+    enrichment_last_error = r.enrichment_last_error
+  from jsonb_to_recordset(updates) as r(
+    user_id text,
+    country_name_official text,
+    state text,
+    city text,
+    district text,
+    country_code text,
+    latitude double precision,
+    longitude double precision,
+    timezone text,
+    asn bigint,
+    isp text,
+    organization text,
+    is_vpn boolean,
+    is_proxy boolean,
+    is_tor boolean,
+    geolocation_provider text,
+    geolocation_payload jsonb,
+    enrichment_status text,
+    enrichment_attempts integer,
+    enrichment_last_attempt_at timestamptz,
+    enrichment_next_attempt_at timestamptz,
+    enrichment_last_error text
+  )
+  where u.user_id = r.user_id;
+$$;
@@ -0,0 +1,71 @@
+-- The sync now applies upstream created_at changes (recorded in id_user_changes
+-- like the other synced columns). A moved user has to be taken out of its old
+-- signup day as well, so id_refresh_user_rollups() also recomputes the day in
+-- changes->'created_at'->>'from'. Otherwise the same as in migration 009.
+create or replace function id_refresh_user_rollups(p_since timestamptz default null)
+returns integer
+language plpgsql
+as $$
+declare
+  v_days date[];
+begin
+  if p_since is null then
+    select coalesce(array_agg(distinct (created_at at time zone 'utc')::date), '{}')
+      into v_days
+      from id_users
+      where created_at is not null;
+
+    delete from id_signups_daily where true;
+    delete from id_signups_by_location where true;
+    delete from id_signups_by_identifier_type where true;
+  else
+    select coalesce(array_agg(distinct day), '{}')
+      into v_days
+      from (
+        select (created_at at time zone 'utc')::date as day
+          from id_users
+          where ingested_at >= p_since or enrichment_last_attempt_at >= p_since
+        union
+        select (u.created_at at time zone 'utc')::date
+          from id_user_changes c
+          join id_users u on u.user_id = c.user_id
+          where c.changed_at >= p_since
+        union
+        -- The day the user was counted under before upstream moved its created_at
+        select ((c.changes->'created_at'->>'from')::timestamptz at time zone 'utc')::date
+          from id_user_changes c
+          where c.changed_at >= p_since
+            and c.changes ? 'created_at'
+      ) touched
+      where day is not null;
+
+    delete from id_signups_daily where day = any(v_days);
+    delete from id_signups_by_location where day = any(v_days);
+    delete from id_signups_by_identifier_type where day = any(v_days);
+  end if;
+
+  with day_users as (
+    select d.day, u.country_code, u.state, u.city, u.identifier_type
+      from unnest(v_days) as d(day)
+      join id_users u
+        on u.created_at >= d.day::timestamp at time zone 'utc'
+       and u.created_at < (d.day + 1)::timestamp at time zone 'utc'
+  ),
+  daily as (
+    insert into id_signups_daily (day, signups)
+      select day, count(*) from day_users group by day
+  ),
+  by_location as (
+    insert into id_signups_by_location (day, country_code, state, city, signups)
+      select day, coalesce(country_code, ''), coalesce(state, ''), coalesce(city, ''), count(*)
+        from day_users
+        group by 1, 2, 3, 4
+  )
+  insert into id_signups_by_identifier_type (day, identifier_type, signups)
+    select day, coalesce(identifier_type, ''), count(*)
+      from day_users
+      group by 1, 2;
+
+  return coalesce(array_length(v_days, 1), 0);
+end;
+$$;
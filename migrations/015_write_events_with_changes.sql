@@ -0,0 +1,77 @@
+-- Write a user change and the outbox rows of its events (see migration 011) in one
+-- transaction, so an event can't be lost after the change it describes was stored.
+-- `p_outbox` is a JSON array of id_event_outbox rows (event_id, event_type,
+-- user_id, endpoint, payload); rows already stored for the same event and endpoint
+-- are skipped.
+
+create or replace function id_insert_outbox_events(p_outbox jsonb)
+returns void
+language sql
+as $$
+  insert into id_event_outbox (event_id, event_type, user_id, endpoint, payload)
+    select event_id, event_type, user_id, endpoint, payload
+      from jsonb_to_recordset(coalesce(p_outbox, '[]'))
+        as r(event_id uuid, event_type text, user_id text, endpoint text, payload jsonb)
+  on conflict (event_id, endpoint) do nothing;
+$$;
+
+-- Insert new users (existing user_ids are skipped) and the user.created events of
+-- the ones inserted. Each event's payload.data.user is set to the inserted row.
+-- Returns the rows inserted.
+create or replace function id_insert_users(p_users jsonb, p_outbox jsonb)
+returns setof id_users
+language plpgsql
+as $$
+begin
+  return query
+  with inserted as (
+    insert into id_users (user_id, email, ip_address, identifier_type, created_at, updated_at, ingested_at)
+      select user_id, email, ip_address, identifier_type, created_at, updated_at, ingested_at
+        from jsonb_populate_recordset(null::id_users, p_users)
+    on conflict (user_id) do nothing
+    returning *
+  ),
+  events as (
+    insert into id_event_outbox (event_id, event_type, user_id, endpoint, payload)
+      select o.event_id, o.event_type, o.user_id, o.endpoint, jsonb_set(o.payload, '{data,user}', to_jsonb(i))
+        from jsonb_to_recordset(coalesce(p_outbox, '[]'))
+          as o(event_id uuid, event_type text, user_id text, endpoint text, payload jsonb)
+        join inserted i on i.user_id = o.user_id
+    on conflict (event_id, endpoint) do nothing
+  )
+  select * from inserted;
+end;
+$$;
+
+-- Update one user's columns (the keys of p_updates), and record the change
+-- history row (an id_user_changes row, or null) and its events
+create or replace function id_update_user(p_user_id text, p_updates jsonb, p_change jsonb, p_outbox jsonb)
+returns void
+language plpgsql
+as $$
+begin
+  execute format(
+    'update id_users u set %s from jsonb_populate_record(null::id_users, $1) p where u.user_id = $2',
+    (select string_agg(format('%I = p.%I', key, key), ', ') from jsonb_object_keys(p_updates) as key)
+  ) using p_updates, p_user_id;
+
+  if p_change is not null then
+    insert into id_user_changes (user_id, changed_at, changes, ip_changed)
+      select user_id, changed_at, changes, ip_changed
+        from jsonb_populate_record(null::id_user_changes, p_change);
+  end if;
+
+  perform id_insert_outbox_events(p_outbox);
+end;
+$$;
+
+-- id_apply_enrichment_updates (migration 013) plus the user.enriched events
+create or replace function id_apply_enrichment_updates_with_events(p_updates jsonb, p_outbox jsonb)
+returns void
+language plpgsql
+as $$
+begin
+  perform id_apply_enrichment_updates(p_updates);
+  perform id_insert_outbox_events(p_outbox);
+end;
+$$;
@@ -0,0 +1,85 @@
+-- Subnet of each user's IP (/24 for IPv4, /48 for IPv6, as text like '203.0.113.0/24'),
+-- used by the shared_subnet risk signal. The services write it with the user (see
+-- ipSubnet in src/ip-classification.js); null when the IP is missing or invalid.
+-- It replaces id_ip_subnet(), whose exception handler opened a subtransaction for
+-- every row id_count_related_signups compared.
+alter table id_users
+  add column if not exists ip_subnet text;
+
+create index if not exists id_users_ip_subnet_idx on id_users (ip_subnet, created_at);
+
+-- One-off backfill of existing users, mirroring ipSubnet: surrounding whitespace,
+-- brackets and zone IDs are dropped, IPv4-mapped and NAT64 addresses count as
+-- their embedded IPv4 address, and values that don't parse are left null
+do $$
+declare
+  r record;
+  v_ip inet;
+begin
+  for r in select user_id, ip_address from id_users where ip_address is not null and ip_subnet is null loop
+    begin
+      if position('/' in r.ip_address) > 0 then
+        continue;
+      end if;
+      v_ip := btrim(split_part(btrim(r.ip_address), '%', 1), '[]')::inet;
+      if v_ip << '::ffff:0:0/96'::inet or v_ip << '64:ff9b::/96'::inet then
+        v_ip := '0.0.0.0'::inet + (v_ip - network(set_masklen(v_ip, 96)));
+      end if;
+      update id_users
+        set ip_subnet = network(set_masklen(v_ip, case when family(v_ip) = 4 then 24 else 48 end))::text
+        where user_id = r.user_id;
+    exception when others then
+      null;
+    end;
+  end loop;
+end;
+$$;
+
+-- As in migration 012, comparing the stored subnets
+create or replace function id_count_related_signups(p_user_ids text[], p_window_minutes integer)
+returns table (user_id text, ip_signups integer, subnet_signups integer)
+language sql
+stable
+as $$
+  select
+    u.user_id,
+    count(*) filter (where o.ip_address = u.ip_address)::integer,
+    count(o.user_id)::integer
+  from id_users u
+  left join id_users o
+    on o.user_id <> u.user_id
+   and o.ip_subnet = u.ip_subnet
+   and o.created_at between u.created_at - make_interval(mins => p_window_minutes)
+                        and u.created_at + make_interval(mins => p_window_minutes)
+  where u.user_id = any(p_user_ids)
+    and u.ip_address is not null
+  group by u.user_id;
+$$;
+
+drop function if exists id_ip_subnet(text);
+
+-- As in migration 015, with the new column
+create or replace function id_insert_users(p_users jsonb, p_outbox jsonb)
+returns setof id_users
+language plpgsql
+as $$
+begin
+  return query
+  with inserted as (
+    insert into id_users (user_id, email, ip_address, ip_subnet, identifier_type, created_at, updated_at, ingested_at)
+      select user_id, email, ip_address, ip_subnet, identifier_type, created_at, updated_at, ingested_at
+        from jsonb_populate_recordset(null::id_users, p_users)
+    on conflict (user_id) do nothing
+    returning *
+  ),
+  events as (
+    insert into id_event_outbox (event_id, event_type, user_id, endpoint, payload)
+      select o.event_id, o.event_type, o.user_id, o.endpoint, jsonb_set(o.payload, '{data,user}', to_jsonb(i))
+        from jsonb_to_recordset(coalesce(p_outbox, '[]'))
+          as o(event_id uuid, event_type text, user_id text, endpoint text, payload jsonb)
+        join inserted i on i.user_id = o.user_id
+    on conflict (event_id, endpoint) do nothing
+  )
+  select * from inserted;
+end;
+$$;
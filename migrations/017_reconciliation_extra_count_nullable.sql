@@ -0,0 +1,4 @@
+-- extra_count is null when a reconciliation run failed before walking every
+-- upstream page: users on the pages it didn't fetch can't be told from extras
+alter table id_reconciliation_reports
+  alter column extra_count drop not null;
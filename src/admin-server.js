@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const http = require('http');
+const config = require('./config');
+const logger = require('./logger');
+const { renderMetrics } = require('./metrics');
+
+// Small embedded HTTP API for a service:
+//   GET  /health                  liveness
+//   GET  /status                  jobs (last run, paused, running) plus service-specific status
+//   GET  /metrics                 Prometheus metrics
+//   POST /jobs/:name/run          start a run now (202; 409 if already running)
+//   POST /jobs/:name/pause        stop scheduled runs (manual runs still work)
+//   POST /jobs/:name/resume       re-enable scheduled runs
+// POST endpoints require "Authorization: Bearer <ADMIN_API_TOKEN>" and are
+// disabled when no token is configured.
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function isAuthorized(req) {
+  if (!config.ADMIN_API_TOKEN) {
+    return false;
+  }
+
+  const expected = Buffer.from(`Bearer ${config.ADMIN_API_TOKEN}`);
+  const actual = Buffer.from(req.headers.authorization || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Start the admin HTTP server for a service
+ * @param {Object} options
+ * @param {string} options.service - Service name reported by /health and /status
+ * @param {number} options.port - Port to listen on (0 disables the server)
+ * @param {Array<Object>} options.jobs - Jobs from createJob
+ * @param {function(): Promise<Object>} [options.getStatus] - Extra fields for /status
+ * @returns {http.Server|null}
+ */
+function startAdminServer({ service, port, jobs, getStatus = async () => ({}) }) {
+  if (!port) {
+    logger.info('Admin API disabled.');
+    return null;
+  }
+
+  const jobsByName = new Map(jobs.map(job => [job.name, job]));
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'GET' && pathname === '/health') {
+        return sendJson(res, 200, { status: 'ok', service, uptimeSeconds: Math.round(process.uptime()) });
+      }
+
+      if (req.method === 'GET' && pathname === '/status') {
+        return sendJson(res, 200, {
+          service,
+          jobs: jobs.map(job => job.getStatus()),
+          ...await getStatus(),
+        });
+      }
+
+      if (req.method === 'GET' && pathname === '/metrics') {
+        const { contentType, body } = await renderMetrics();
+        res.writeHead(200, { 'Content-Type': contentType });
+        return res.end(body);
+      }
+
+      const action = pathname.match(/^\/jobs\/([^/]+)\/(run|pause|resume)$/);
+      if (req.method === 'POST' && action) {
+        if (!config.ADMIN_API_TOKEN) {
+          return sendJson(res, 403, { error: 'Admin actions are disabled: ADMIN_API_TOKEN is not set' });
+        }
+        if (!isAuthorized(req)) {
+          return sendJson(res, 401, { error: 'Unauthorized' });
+        }
+
+        const job = jobsByName.get(action[1]);
+        if (!job) {
+          return sendJson(res, 404, { error: `Unknown job: ${action[1]}` });
+        }
+
+        if (action[2] === 'pause') {
+          job.pause();
+          logger.info(`${job.name} schedule paused via admin API.`, { job: job.name });
+          return sendJson(res, 200, job.getStatus());
+        }
+        if (action[2] === 'resume') {
+          job.resume();
+          logger.info(`${job.name} schedule resumed via admin API.`, { job: job.name });
+          return sendJson(res, 200, job.getStatus());
+        }
+
+        if (job.getStatus().running) {
+          return sendJson(res, 409, { error: `${job.name} is already running` });
+        }
+
+        logger.info(`Manual ${job.name} run requested via admin API...`, { job: job.name });
+        job.run('manual')
+          .then(({ skipped, runId }) => {
+            if (!skipped) {
+              logger.info(`Manual ${job.name} run completed.`, { job: job.name, runId });
+            }
+          })
+          .catch((error) => {
+            logger.error(`Manual ${job.name} run failed`, { job: job.name, error });
+          });
+        return sendJson(res, 202, { started: true, job: job.name });
+      }
+
+      return sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+      logger.error('Admin API error', { method: req.method, path: pathname, error });
+      return sendJson(res, 500, { error: error.message });
+    }
+  });
+
+  server.listen(port, config.ADMIN_HOST, () => {
+    logger.info(`Admin API listening on http://${config.ADMIN_HOST}:${port}`);
+  });
+  server.on('error', (error) => {
+    logger.error('Admin API server error', { error });
+  });
+
+  return server;
+}
+
+module.exports = {
+  startAdminServer,
+};
@@ -0,0 +1,132 @@
+const config = require('./config');
+const { createHttpClient } = require('./http-client');
+
+// An alert sink delivers notifications from the alert rules (see alerts.js):
+//   name                  -> value in ALERT_SINKS
+//   send(notification)    -> Promise<void>, throws when delivery failed
+// A notification is { status: 'firing'|'resolved', rule, key, severity, summary,
+// details, startedAt, at, source, host }.
+
+/**
+ * One-line text for chat messages and email subjects
+ * @param {Object} notification
+ * @returns {string}
+ */
+function formatTitle(notification) {
+  const prefix = notification.status === 'resolved' ? 'RESOLVED' : notification.severity.toUpperCase();
+  return `[${prefix}] ${notification.rule}: ${notification.summary}`;
+}
+
+/**
+ * Plain-text body listing the notification's details
+ * @param {Object} notification
+ * @returns {string}
+ */
+function formatBody(notification) {
+  const lines = [
+    formatTitle(notification),
+    '',
+    `Status: ${notification.status}`,
+    `Since: ${notification.startedAt}`,
+    `Evaluated at: ${notification.at} by ${notification.source} on ${notification.host}`,
+  ];
+  for (const [field, value] of Object.entries(notification.details || {})) {
+    lines.push(`${field}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  }
+  return lines.join('\n');
+}
+
+function createSinkClient(name) {
+  return createHttpClient({ name, timeoutMs: 10000, maxRetries: 2 });
+}
+
+/**
+ * Generic webhook: POSTs the notification as JSON to ALERT_WEBHOOK_URL
+ */
+function createWebhookSink() {
+  const client = createSinkClient('Alert webhook');
+
+  return {
+    name: 'webhook',
+    async send(notification) {
+      await client.post(config.ALERT_WEBHOOK_URL, notification);
+    },
+  };
+}
+
+/**
+ * Slack incoming webhook (or anything accepting Slack's { text } payload, such as
+ * Mattermost or Rocket.Chat) at ALERT_SLACK_WEBHOOK_URL
+ */
+function createSlackSink() {
+  const client = createSinkClient('Slack webhook');
+  const icons = { critical: ':rotating_light:', warning: ':warning:' };
+
+  return {
+    name: 'slack',
+    async send(notification) {
+      const icon = notification.status === 'resolved' ? ':white_check_mark:' : icons[notification.severity] || ':bell:';
+      const details = Object.entries(notification.details || {})
+        .map(([field, value]) => `• ${field}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+      await client.post(config.ALERT_SLACK_WEBHOOK_URL, {
+        text: [`${icon} *${formatTitle(notification)}*`, ...details].join('\n'),
+      });
+    },
+  };
+}
+
+/**
+ * Email through the SMTP server at ALERT_SMTP_HOST; the `nodemailer` package is
+ * loaded lazily
+ */
+function createEmailSink() {
+  let transport = null;
+
+  return {
+    name: 'email',
+    async send(notification) {
+      if (!transport) {
+        const nodemailer = require('nodemailer');
+        transport = nodemailer.createTransport({
+          host: config.ALERT_SMTP_HOST,
+          port: config.ALERT_SMTP_PORT,
+          secure: config.ALERT_SMTP_SECURE,
+          auth: config.ALERT_SMTP_USER ? { user: config.ALERT_SMTP_USER, pass: config.ALERT_SMTP_PASSWORD } : undefined,
+        });
+      }
+
+      await transport.sendMail({
+        from: config.ALERT_EMAIL_FROM,
+        to: config.ALERT_EMAIL_TO.join(', '),
+        subject: formatTitle(notification),
+        text: formatBody(notification),
+      });
+    },
+  };
+}
+
+const SINK_FACTORIES = {
+  webhook: createWebhookSink,
+  slack: createSlackSink,
+  email: createEmailSink,
+};
+
+/**
+ * Create the configured sinks (ALERT_SINKS)
+ * @returns {Array<Object>} Sink instances
+ */
+function createSinks() {
+  return config.ALERT_SINKS.map(name => {
+    const factory = SINK_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown alert sink "${name}". Expected one of: ${Object.keys(SINK_FACTORIES).join(', ')}`);
+    }
+    return factory();
+  });
+}
+
+module.exports = {
+  createSinks,
+  formatTitle,
+  formatBody,
+};
@@ -0,0 +1,304 @@
+const os = require('os');
+const config = require('./config');
+const storage = require('./storage');
+const { createSinks } = require('./alert-sinks');
+const logger = require('./logger');
+
+// Alert rules, evaluated after every job run (see evaluateAlerts). A rule is
+//   name               -> identifier used in notifications and the state key
+//   severity           -> 'critical' or 'warning'
+//   jobs               -> job names whose runs trigger it (null: every job)
+//   enabled()          -> false when its threshold setting is 0
+//   evaluate(run, now) -> Promise<Array<{key, summary, details}>> of what is
+//                         currently wrong (empty when all is well)
+// Each key is one alert instance (e.g. one IP address). An instance notifies when
+// it starts firing, again every ALERT_REPEAT_MINUTES while it keeps firing, and once
+// more when it resolves. Firing instances are kept per rule in id_sync_state so
+// both services and restarts share them. A notification no sink accepted is sent
+// again on the next evaluation.
+
+const HOUR_MS = 60 * 60 * 1000;
+const STATE_KEY_PREFIX = 'alert_state:';
+const LAST_SUCCESS_KEY_PREFIX = 'last_success_at:';
+// When sync_stale first found no successful sync on record; staleness counts from here
+const STALE_WATCH_STARTED_KEY = 'alert_watch_started_at:sync';
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
+
+const RULES = [
+  {
+    name: 'sync_stale',
+    severity: 'critical',
+    jobs: null,
+    enabled: () => config.ALERT_SYNC_STALE_MINUTES > 0,
+    async evaluate(run, now) {
+      const lastSuccessAt = await storage.getSyncState(`${LAST_SUCCESS_KEY_PREFIX}sync`);
+      // A sync that has never succeeded is stale too, counted from the first check
+      let watchStartedAt = null;
+      if (!lastSuccessAt) {
+        watchStartedAt = await storage.getSyncState(STALE_WATCH_STARTED_KEY);
+        if (!watchStartedAt) {
+          await storage.setSyncState({ [STALE_WATCH_STARTED_KEY]: new Date(now).toISOString() });
+          return [];
+        }
+      }
+
+      const minutes = Math.floor((now - new Date(lastSuccessAt || watchStartedAt).getTime()) / 60000);
+      if (minutes < config.ALERT_SYNC_STALE_MINUTES) {
+        return [];
+      }
+      return [{
+        key: 'sync',
+        summary: lastSuccessAt
+          ? `No successful sync in ${minutes} minutes`
+          : `No successful sync recorded (checked for ${minutes} minutes)`,
+        details: { lastSuccessAt, ...(watchStartedAt ? { watchStartedAt } : {}), thresholdMinutes: config.ALERT_SYNC_STALE_MINUTES },
+      }];
+    },
+  },
+  {
+    name: 'enrichment_failure_ratio',
+    severity: 'critical',
+    jobs: ['enrichment'],
+    enabled: () => config.ALERT_ENRICHMENT_FAILURE_PERCENT > 0,
+    async evaluate(run) {
+      if (run.status === 'failed') {
+        return [{ key: 'run', summary: `Enrichment run failed: ${run.error.message}`, details: { error: run.error.message } }];
+      }
+
+      const { totalProcessed = 0, totalFailed = 0, totalUnresolvable = 0 } = run.result || {};
+      if (totalProcessed < config.ALERT_ENRICHMENT_MIN_USERS) {
+        return [];
+      }
+
+      const percent = Math.round(((totalFailed + totalUnresolvable) / totalProcessed) * 100);
+      if (percent <= config.ALERT_ENRICHMENT_FAILURE_PERCENT) {
+        return [];
+      }
+      return [{
+        key: 'ratio',
+        summary: `${percent}% of enrichment lookups failed (${totalFailed + totalUnresolvable} of ${totalProcessed})`,
+        details: { totalProcessed, totalFailed, totalUnresolvable, thresholdPercent: config.ALERT_ENRICHMENT_FAILURE_PERCENT },
+      }];
+    },
+  },
+  {
+    // Compares the last complete UTC hour with the mean of the hours before it
+    name: 'signup_rate',
+    severity: 'warning',
+    jobs: ['sync'],
+    enabled: () => config.ALERT_SIGNUP_BASELINE_HOURS > 0,
+    async evaluate(run, now) {
+      const currentHour = Math.floor(now / HOUR_MS) * HOUR_MS;
+      const firstHour = currentHour - (config.ALERT_SIGNUP_BASELINE_HOURS + 1) * HOUR_MS;
+      const rows = await storage.countSignupsByHour(new Date(firstHour).toISOString());
+      const byHour = new Map(rows.map(row => [new Date(row.hour).getTime(), row.signups]));
+
+      const counts = [];
+      for (let hour = firstHour; hour < currentHour; hour += HOUR_MS) {
+        counts.push(byHour.get(hour) || 0);
+      }
+      const signups = counts.pop();
+      if (counts.every(count => count === 0)) {
+        return []; // No history to compare with
+      }
+
+      const baseline = mean(counts);
+      const deviation = standardDeviation(counts);
+      const threshold = Math.max(config.ALERT_SIGNUP_DEVIATION * deviation, config.ALERT_SIGNUP_MIN_CHANGE);
+      if (Math.abs(signups - baseline) <= threshold) {
+        return [];
+      }
+
+      const direction = signups > baseline ? 'spike' : 'drop';
+      const hour = new Date(currentHour - HOUR_MS).toISOString();
+      return [{
+        key: direction,
+        summary: `Signup ${direction}: ${signups} signups in the hour from ${hour} (baseline ${baseline.toFixed(1)} ± ${deviation.toFixed(1)})`,
+        details: { hour, signups, baseline: Number(baseline.toFixed(2)), standardDeviation: Number(deviation.toFixed(2)), baselineHours: counts.length },
+      }];
+    },
+  },
+  {
+    name: 'signups_per_ip',
+    severity: 'warning',
+    jobs: ['sync'],
+    enabled: () => config.ALERT_SIGNUPS_PER_IP > 0,
+    async evaluate(run, now) {
+      const since = new Date(now - config.ALERT_SIGNUPS_PER_IP_WINDOW_MINUTES * 60000).toISOString();
+      const rows = await storage.countSignupsByIp(since, config.ALERT_SIGNUPS_PER_IP);
+      return rows.map(({ ip_address: ipAddress, signups }) => ({
+        key: ipAddress,
+        summary: `${signups} signups from ${ipAddress} in the last ${config.ALERT_SIGNUPS_PER_IP_WINDOW_MINUTES} minutes`,
+        details: { ip: ipAddress, signups, since, threshold: config.ALERT_SIGNUPS_PER_IP },
+      }));
+    },
+  },
+];
+
+let sinks = null;
+
+/**
+ * Send a notification to every configured sink. Delivery failures are logged;
+ * one failing sink doesn't stop the others.
+ * @param {Object} notification - See alert-sinks.js
+ * @returns {Promise<{sent: Array<string>, failed: Array<string>}>} Sink names
+ */
+async function notify(notification) {
+  sinks = sinks || createSinks();
+  const sent = [];
+  const failed = [];
+
+  await Promise.all(sinks.map(async (sink) => {
+    try {
+      await sink.send(notification);
+      sent.push(sink.name);
+    } catch (error) {
+      failed.push(sink.name);
+      logger.error('Error sending alert', { sink: sink.name, rule: notification.rule, error });
+    }
+  }));
+
+  return { sent, failed };
+}
+
+async function loadState(rule) {
+  const value = await storage.getSyncState(`${STATE_KEY_PREFIX}${rule.name}`);
+  if (value) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.error(`Ignoring malformed ${STATE_KEY_PREFIX}${rule.name} value`, { error });
+    }
+  }
+  return {};
+}
+
+/**
+ * Evaluate one rule, send the notifications that are due and save its state.
+ * The state is saved after delivery: a firing instance only records lastNotifiedAt
+ * once a sink accepted the notification, and a resolved instance whose notification
+ * no sink accepted stays in the state so it resolves (and notifies) again next time.
+ * @param {Object} rule - Entry of RULES
+ * @param {Object} run - See evaluateAlerts
+ * @param {number} now - Evaluation time (ms)
+ * @returns {Promise<Array<Object>>} Notifications delivered
+ */
+async function evaluateRule(rule, run, now) {
+  const active = await rule.evaluate(run, now);
+  const previous = await loadState(rule);
+  const state = {};
+  const notifications = [];
+  const at = new Date(now).toISOString();
+  const base = { rule: rule.name, severity: rule.severity, at, source: run.job, host: os.hostname() };
+
+  for (const alert of active) {
+    const existing = previous[alert.key];
+    // lastNotifiedAt is null while no notification for the instance got through
+    const due = !existing?.lastNotifiedAt || (config.ALERT_REPEAT_MINUTES > 0
+      && now - new Date(existing.lastNotifiedAt).getTime() >= config.ALERT_REPEAT_MINUTES * 60000);
+    const startedAt = existing?.startedAt || at;
+
+    state[alert.key] = { startedAt, lastNotifiedAt: existing?.lastNotifiedAt || null, summary: alert.summary };
+    if (due) {
+      notifications.push({ ...base, status: 'firing', key: alert.key, summary: alert.summary, details: alert.details, startedAt });
+    }
+  }
+
+  for (const [key, existing] of Object.entries(previous)) {
+    if (!state[key]) {
+      notifications.push({ ...base, status: 'resolved', key, summary: existing.summary, details: {}, startedAt: existing.startedAt });
+    }
+  }
+
+  const delivered = [];
+  for (const notification of notifications) {
+    const log = notification.status === 'firing' ? logger.warn : logger.info;
+    log(`Alert ${notification.status}: ${notification.summary}`, { rule: rule.name, alertKey: notification.key, severity: rule.severity });
+    const { sent, failed } = await notify(notification);
+    // Without any sink configured the log entry above is the notification
+    if (sent.length > 0 || failed.length === 0) {
+      delivered.push(notification);
+      if (notification.status === 'firing') {
+        state[notification.key].lastNotifiedAt = at;
+      }
+    } else if (notification.status === 'resolved') {
+      state[notification.key] = previous[notification.key];
+    }
+  }
+
+  if (JSON.stringify(state) !== JSON.stringify(previous)) {
+    await storage.setSyncState({ [`${STATE_KEY_PREFIX}${rule.name}`]: JSON.stringify(state) });
+  }
+  return delivered;
+}
+
+/**
+ * Evaluate the alert rules after a job run and send due notifications. Used as
+ * the job runner's afterRun hook; never throws, so alerting problems can't fail
+ * or block a job.
+ * @param {Object} run
+ * @param {string} run.job - Job name
+ * @param {string} run.status - 'succeeded' or 'failed'
+ * @param {*} [run.result] - Job result when it succeeded
+ * @param {Error} [run.error] - Error when it failed
+ * @returns {Promise<Array<Object>>} Notifications delivered to at least one sink
+ */
+async function evaluateAlerts(run) {
+  const now = Date.now();
+  const sent = [];
+
+  try {
+    if (run.status === 'succeeded') {
+      await storage.setSyncState({ [`${LAST_SUCCESS_KEY_PREFIX}${run.job}`]: new Date(now).toISOString() });
+    }
+  } catch (error) {
+    logger.error('Error recording last successful run', { error });
+  }
+
+  for (const rule of RULES) {
+    if (!rule.enabled() || (rule.jobs && !rule.jobs.includes(run.job))) {
+      continue;
+    }
+
+    try {
+      sent.push(...await evaluateRule(rule, run, now));
+    } catch (error) {
+      logger.error('Error evaluating alert rule', { rule: rule.name, error });
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Send a test notification through every configured sink
+ * @returns {Promise<{sent: Array<string>, failed: Array<string>}>} Sink names
+ */
+function sendTestAlert() {
+  const at = new Date().toISOString();
+  return notify({
+    status: 'firing',
+    rule: 'test',
+    key: 'test',
+    severity: 'warning',
+    summary: 'Test alert, no action needed',
+    details: { sinks: config.ALERT_SINKS.join(', ') },
+    startedAt: at,
+    at,
+    source: 'cli',
+    host: os.hostname(),
+  });
+}
+
+module.exports = {
+  evaluateAlerts,
+  sendTestAlert,
+};
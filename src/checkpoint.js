@@ -0,0 +1,149 @@
+const { getSyncState, setSyncState, deleteSyncState } = require('./storage');
+const logger = require('./logger');
+
+// The checkpoint is stored as JSON under CHECKPOINT_KEY. The newest user_id is
+// also kept under the original LEGACY_CHECKPOINT_KEY so older readers keep working
+// and so a checkpoint written before this format can still be read.
+const CHECKPOINT_KEY = 'sync_checkpoint';
+const LEGACY_CHECKPOINT_KEY = 'last_synced_user_id';
+
+// Progress of an unfinished full sync, so a crash or restart resumes where it stopped
+const FULL_SYNC_PROGRESS_KEY = 'full_sync_progress';
+
+/**
+ * Build a checkpoint from the newest page of upstream users
+ * @param {Array} users - Users from page 1, newest first
+ * @param {number} recentIdCount - How many of the newest user_ids to remember
+ * @returns {{userId: string, createdAt: string|null, recentUserIds: Array<string>}}
+ */
+function checkpointFromUsers(users, recentIdCount) {
+  return {
+    userId: users[0].user_id,
+    createdAt: users[0].createdAt || null,
+    recentUserIds: users.slice(0, recentIdCount).map(user => user.user_id),
+  };
+}
+
+/**
+ * Get the sync checkpoint
+ * @returns {Promise<{userId: string, createdAt: string|null, recentUserIds: Array<string>}|null>}
+ */
+async function getCheckpoint() {
+  const value = await getSyncState(CHECKPOINT_KEY);
+  if (value) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.error(`Ignoring malformed ${CHECKPOINT_KEY} value`, { error });
+    }
+  }
+
+  const legacyUserId = await getSyncState(LEGACY_CHECKPOINT_KEY);
+  if (!legacyUserId) {
+    return null;
+  }
+
+  return { userId: legacyUserId, createdAt: null, recentUserIds: [legacyUserId] };
+}
+
+/**
+ * Store the sync checkpoint
+ * @param {{userId: string, createdAt: string|null, recentUserIds: Array<string>}} checkpoint
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report to record the move in instead
+ * @returns {Promise<void>}
+ */
+async function updateCheckpoint(checkpoint, { dryRun = null } = {}) {
+  if (dryRun) {
+    dryRun.checkpoint = { from: await getCheckpoint(), to: checkpoint };
+    logger.info('Dry run: checkpoint would be updated', { checkpointUserId: checkpoint.userId });
+    return;
+  }
+
+  await setSyncState({
+    [CHECKPOINT_KEY]: JSON.stringify(checkpoint),
+    [LEGACY_CHECKPOINT_KEY]: checkpoint.userId,
+  });
+
+  logger.info('Checkpoint updated', { checkpointUserId: checkpoint.userId, checkpointCreatedAt: checkpoint.createdAt });
+}
+
+/**
+ * Remove the checkpoint so the next sync performs a full sync
+ * @returns {Promise<void>}
+ */
+async function clearCheckpoint() {
+  await deleteSyncState(CHECKPOINT_KEY);
+  await deleteSyncState(LEGACY_CHECKPOINT_KEY);
+  logger.info('Checkpoint cleared.');
+}
+
+/**
+ * Get the progress of an unfinished full sync
+ * @returns {Promise<{page: number, startedAt: string, checkpoint: Object}|null>}
+ *   `page` is the last page fully written; `checkpoint` was built from page 1 when
+ *   the full sync started and becomes the sync checkpoint once it finishes
+ */
+async function getFullSyncProgress() {
+  const value = await getSyncState(FULL_SYNC_PROGRESS_KEY);
+  if (!value) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.error(`Ignoring malformed ${FULL_SYNC_PROGRESS_KEY} value`, { error });
+    return null;
+  }
+}
+
+/**
+ * Record that a full sync has written every page up to and including `progress.page`
+ * @param {{page: number, startedAt: string, checkpoint: Object}} progress
+ * @returns {Promise<void>}
+ */
+async function updateFullSyncProgress(progress) {
+  await setSyncState({ [FULL_SYNC_PROGRESS_KEY]: JSON.stringify(progress) });
+}
+
+/**
+ * Forget full sync progress (after it finished, or to restart from page 1)
+ * @returns {Promise<void>}
+ */
+async function clearFullSyncProgress() {
+  await deleteSyncState(FULL_SYNC_PROGRESS_KEY);
+}
+
+/**
+ * Find where already-synced users start on an upstream page (newest first).
+ * A user is already synced if it is one of the checkpoint's recent IDs or was
+ * created before the checkpoint user, so the checkpoint user itself may disappear
+ * upstream without losing our place.
+ * @param {Array} users - Users on the page
+ * @param {Object} checkpoint - Checkpoint from getCheckpoint
+ * @returns {number} Index of the first already-synced user, or -1
+ */
+function findCheckpointIndex(users, checkpoint) {
+  const recentIds = new Set(checkpoint.recentUserIds || [checkpoint.userId]);
+  const checkpointTime = checkpoint.createdAt ? new Date(checkpoint.createdAt).getTime() : NaN;
+
+  return users.findIndex(user => {
+    if (recentIds.has(user.user_id)) {
+      return true;
+    }
+    const createdTime = new Date(user.createdAt).getTime();
+    return !Number.isNaN(checkpointTime) && createdTime < checkpointTime;
+  });
+}
+
+module.exports = {
+  getCheckpoint,
+  updateCheckpoint,
+  clearCheckpoint,
+  getFullSyncProgress,
+  updateFullSyncProgress,
+  clearFullSyncProgress,
+  checkpointFromUsers,
+  findCheckpointIndex,
+};
@@ -0,0 +1,362 @@
+const { parseArgs } = require('util');
+
+// Command-line tool for one-off operations (see bin/avici):
+//   sync --once | --full                 run one incremental (or forced full) sync
+//   sync --from <date> [--to <date>]     backfill the users created within a date range
+//   checkpoint get | set <userId> | clear
+//   enrich --user <id> | --ip <ip>       re-enrich one user / look up one IP
+//   backlog                              count users waiting for enrichment
+//   rollups rebuild | refresh            backfill or catch up the dashboard rollups
+//   alerts test                          send a test notification to every alert sink
+//   webhooks deliver | requeue           deliver due webhook events / retry dead ones
+//   risk score | rescore                 score unscored users / mark everyone for rescoring
+//   reenrich [--keep-cache]              queue located users for the extended location columns
+// Every command accepts --json (print the result as JSON on stdout). sync, checkpoint,
+// enrich and risk score also accept --dry-run (report what would be written without
+// writing); the other writing commands reject it, including when DRY_RUN is set.
+// backlog and alerts test write nothing either way.
+
+const USAGE = `Usage: avici <command> [options]
+
+Commands:
+  sync --once                     Run one sync (incremental, or full if there is no checkpoint)
+  sync --full                     Run a full sync regardless of the checkpoint
+  sync --from <date> [--to <date>]
+                                  Sync only the users created within the range (inclusive;
+                                  --to defaults to now). The checkpoint is left alone.
+  checkpoint get                  Show the sync checkpoint
+  checkpoint set <userId>         Move the checkpoint to a user (--created-at <iso> optional)
+  checkpoint clear                Remove the checkpoint (next sync is a full sync)
+  enrich --user <id>              Enrich one user now as a scheduled run would (fills the
+                                  missing location columns and records the attempt)
+  enrich --ip <ip>                Look up one IP (nothing is written to id_users)
+  backlog                         Count users waiting for enrichment
+  rollups rebuild                 Rebuild the dashboard rollup tables from id_users (backfill)
+  rollups refresh                 Recompute the rollups for users changed since the last refresh
+  alerts test                     Send a test notification through every sink in ALERT_SINKS
+  webhooks deliver                Deliver the webhook events that are due now
+  webhooks requeue                Make dead webhook events pending again
+  risk score                      Give every unscored user (with a settled location) a risk score
+  risk rescore                    Mark every user for rescoring by the next enrichment run
+  reenrich                        Queue users located before the extended columns for the next
+                                  enrichment runs, which look their IPs up again (--keep-cache
+                                  reuses the IP cache instead)
+
+Options:
+  --dry-run                       Show what would be written without writing it
+                                  (sync, checkpoint set|clear, enrich, risk score)
+  --json                          Print the result as JSON
+  -h, --help                      Show this help`;
+
+const OPTIONS = {
+  once: { type: 'boolean' },
+  full: { type: 'boolean' },
+  user: { type: 'string' },
+  ip: { type: 'string' },
+  'created-at': { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  'keep-cache': { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+class UsageError extends Error {}
+
+// Modules are required by the commands that need them, so `--help` and usage
+// errors don't need storage credentials
+function parseDate(value, option) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new UsageError(`${option} needs a date or ISO timestamp, got: ${value}`);
+  }
+  return date;
+}
+
+async function syncCommand(args, options) {
+  const modes = [options.once, options.full, Boolean(options.from)].filter(Boolean);
+  if (modes.length !== 1) {
+    throw new UsageError('sync needs exactly one of --once, --full or --from <date>');
+  }
+  if (options.to && !options.from) {
+    throw new UsageError('sync --to needs --from');
+  }
+
+  let range = null;
+  if (options.from) {
+    range = { from: parseDate(options.from, '--from'), to: options.to ? parseDate(options.to, '--to') : new Date() };
+    if (range.from > range.to) {
+      throw new UsageError('sync --from must not be after --to');
+    }
+  }
+
+  // The same job as the scheduled sync: lock, rollup refresh and alert checks. A
+  // range sync skips the alerts, since it isn't the sync they watch for, and so
+  // does a dry run, which writes no alert state.
+  const { createJob } = require('./job-runner');
+  const { syncUsers } = require('./sync');
+  const { evaluateAlerts } = require('./alerts');
+  const afterRun = options.dryRun || range ? null : evaluateAlerts;
+  const job = createJob('sync', () => syncUsers({ dryRun: options.dryRun, full: options.full, range }), { afterRun });
+
+  const { skipped, runId, result } = await job.run('manual');
+  if (skipped) {
+    throw new Error('Sync skipped: another sync is running');
+  }
+  return { runId, ...result };
+}
+
+async function checkpointCommand([action, userId], options) {
+  const { getCheckpoint, updateCheckpoint, clearCheckpoint } = require('./checkpoint');
+  const { createDryRunReport } = require('./dry-run');
+  const current = await getCheckpoint();
+
+  if (action === 'get') {
+    return { checkpoint: current };
+  }
+
+  if (action === 'set') {
+    if (!userId) {
+      throw new UsageError('checkpoint set needs a user ID');
+    }
+    const checkpoint = { userId, createdAt: options.createdAt || null, recentUserIds: [userId] };
+    const report = options.dryRun ? createDryRunReport() : null;
+    await updateCheckpoint(checkpoint, { dryRun: report });
+    return { dryRun: options.dryRun, from: current, to: checkpoint };
+  }
+
+  if (action === 'clear') {
+    if (!options.dryRun) {
+      await clearCheckpoint();
+    }
+    return { dryRun: options.dryRun, from: current, to: null };
+  }
+
+  throw new UsageError('checkpoint needs one of: get, set <userId>, clear');
+}
+
+async function enrichCommand(args, options) {
+  if (Boolean(options.user) === Boolean(options.ip)) {
+    throw new UsageError('enrich needs exactly one of --user <id> or --ip <ip>');
+  }
+
+  const { classifyIP, lookupGeolocation, enrichSingleUser } = require('./enrichment');
+  const { createDryRunReport } = require('./dry-run');
+  // A dry run reads the geolocation cache but doesn't write to it
+  const report = options.dryRun ? createDryRunReport() : null;
+
+  if (options.user) {
+    // Under the enrichment job lock, so a scheduled run can't write the same row
+    const { createJob } = require('./job-runner');
+    const job = createJob('enrichment', () => enrichSingleUser(options.user, { dryRun: report }));
+    const { skipped, runId, result } = await job.run('manual');
+    if (skipped) {
+      throw new Error('Enrichment skipped: an enrichment run is in progress');
+    }
+    return { dryRun: options.dryRun, runId, userId: options.user, ...result, ...(report ? { report } : {}) };
+  }
+
+  const classification = classifyIP(options.ip);
+  if (!classification.public) {
+    throw new Error(`Cannot enrich ${classification.reason} IP: ${options.ip}`);
+  }
+
+  const geolocationData = await lookupGeolocation(classification.address, { dryRun: report });
+  return {
+    dryRun: options.dryRun,
+    ip: classification.address,
+    provider: geolocationData.provider,
+    location: geolocationData.location,
+  };
+}
+
+async function backlogCommand() {
+  const { countUsersNeedingEnrichment } = require('./storage');
+  return { backlog: await countUsersNeedingEnrichment() };
+}
+
+async function rollupsCommand([action], options) {
+  if (!['rebuild', 'refresh'].includes(action)) {
+    throw new UsageError('rollups needs one of: rebuild, refresh');
+  }
+  if (options.dryRun) {
+    throw new UsageError('rollups does not support --dry-run');
+  }
+
+  const { rebuildRollups, refreshRollups } = require('./rollups');
+  const { skipped, ...result } = action === 'rebuild' ? await rebuildRollups() : await refreshRollups();
+  if (skipped) {
+    throw new Error('Rollups skipped: another refresh or rebuild is running');
+  }
+  return result;
+}
+
+async function alertsCommand([action]) {
+  if (action !== 'test') {
+    throw new UsageError('alerts needs: test');
+  }
+
+  const config = require('./config');
+  if (config.ALERT_SINKS.length === 0) {
+    throw new Error('No alert sinks configured (set ALERT_SINKS)');
+  }
+
+  const { sendTestAlert } = require('./alerts');
+  const { sent, failed } = await sendTestAlert();
+  if (failed.length > 0) {
+    throw new Error(`Test alert failed for: ${failed.join(', ')}${sent.length > 0 ? ` (sent to: ${sent.join(', ')})` : ''}`);
+  }
+  return { sent };
+}
+
+async function webhooksCommand([action], options) {
+  if (!['deliver', 'requeue'].includes(action)) {
+    throw new UsageError('webhooks needs one of: deliver, requeue');
+  }
+  if (options.dryRun) {
+    throw new UsageError('webhooks does not support --dry-run');
+  }
+
+  const { deliverEvents, requeueDeadEvents } = require('./outbox');
+  if (action === 'requeue') {
+    return requeueDeadEvents();
+  }
+
+  const config = require('./config');
+  if (config.WEBHOOK_ENDPOINTS.length === 0) {
+    throw new Error('No webhook endpoints configured (set WEBHOOK_ENDPOINTS)');
+  }
+
+  const { createJob } = require('./job-runner');
+  const { skipped, runId, result } = await createJob('webhooks', deliverEvents).run('manual');
+  if (skipped) {
+    throw new Error('Delivery skipped: another delivery is running');
+  }
+  return { runId, ...result };
+}
+
+async function riskCommand([action], options) {
+  if (!['score', 'rescore'].includes(action)) {
+    throw new UsageError('risk needs one of: score, rescore');
+  }
+
+  const { scoreRisk, clearRiskScores } = require('./risk-scoring');
+  if (action === 'rescore') {
+    if (options.dryRun) {
+      throw new UsageError('risk rescore does not support --dry-run');
+    }
+    return clearRiskScores();
+  }
+
+  const { createDryRunReport } = require('./dry-run');
+  const report = options.dryRun ? createDryRunReport() : null;
+  const result = await scoreRisk({ dryRun: report });
+  return { dryRun: options.dryRun, ...result, ...(report ? { report } : {}) };
+}
+
+async function reenrichCommand(args, options) {
+  if (options.dryRun) {
+    throw new UsageError('reenrich does not support --dry-run');
+  }
+
+  const { resetEnrichmentForBackfill } = require('./storage');
+  const { expireGeolocationCache } = require('./enrichment');
+  // Cached payloads are mapped again on the next lookup, but may have been fetched
+  // without the extended fields (ip-api's field list, ipgeolocation's include)
+  const cacheValidFrom = options.keepCache ? null : await expireGeolocationCache();
+  const users = await resetEnrichmentForBackfill();
+  return { users, cacheValidFrom };
+}
+
+const COMMANDS = {
+  sync: syncCommand,
+  checkpoint: checkpointCommand,
+  enrich: enrichCommand,
+  backlog: backlogCommand,
+  rollups: rollupsCommand,
+  alerts: alertsCommand,
+  webhooks: webhooksCommand,
+  risk: riskCommand,
+  reenrich: reenrichCommand,
+};
+
+function printText(result) {
+  for (const [key, value] of Object.entries(result)) {
+    const text = value && typeof value === 'object' ? JSON.stringify(value) : String(value);
+    process.stdout.write(`${key}: ${text}\n`);
+  }
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code: 0 success, 1 failure, 2 usage error
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  const { values, positionals: [commandName, ...args] } = parsed;
+  if (values.help || !commandName) {
+    process.stdout.write(`${USAGE}\n`);
+    return values.help ? 0 : 2;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    process.stderr.write(`Unknown command: ${commandName}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  const config = require('./config');
+  try {
+    config.validateConfig('cli');
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    return 1;
+  }
+
+  const options = {
+    once: Boolean(values.once),
+    full: Boolean(values.full),
+    user: values.user,
+    ip: values.ip,
+    createdAt: values['created-at'],
+    from: values.from,
+    to: values.to,
+    keepCache: Boolean(values['keep-cache']),
+    dryRun: Boolean(values['dry-run']) || config.DRY_RUN,
+    json: Boolean(values.json),
+  };
+
+  try {
+    const result = await command(args, options);
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else {
+      printText(result);
+    }
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+      return 2;
+    }
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify({ error: error.message }, null, 2)}\n`);
+    } else {
+      process.stderr.write(`Error: ${error.message}\n`);
+    }
+    return 1;
+  }
+}
+
+module.exports = {
+  main,
+};
@@ -0,0 +1,67 @@
+/**
+ * Sleep for the given number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a rate limiter that spaces calls evenly to stay within a requests-per-second
+ * budget, shared by every caller (e.g. all workers of a pool).
+ * @param {number} requestsPerSecond - Maximum sustained request rate
+ * @returns {{acquire: function(): Promise<number>, pauseUntil: function(number): void}}
+ *   `acquire` resolves (with the milliseconds it waited) when the caller may make its request;
+ *   `pauseUntil` holds back all callers until the given timestamp (e.g. after a 429)
+ */
+function createRateLimiter(requestsPerSecond) {
+  const intervalMs = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+
+  return {
+    async acquire() {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + intervalMs;
+      if (slot > now) {
+        await sleep(slot - now);
+      }
+      return slot - now;
+    },
+    pauseUntil(timestamp) {
+      nextSlot = Math.max(nextSlot, timestamp);
+    },
+  };
+}
+
+/**
+ * Run an async worker over items with at most `concurrency` in flight.
+ * Results are returned in input order; a worker that throws rejects the whole call,
+ * so workers should handle their own per-item errors.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent workers
+ * @param {function(*, number): Promise<*>} worker - Called with (item, index)
+ * @returns {Promise<Array>} Worker results
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runWorker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
+
+module.exports = {
+  sleep,
+  createRateLimiter,
+  mapWithConcurrency,
+};
@@ -1,12 +1,469 @@
 require('dotenv').config();
+const cron = require('node-cron');
+const { ENRICHED_FIELDS } = require('./users');
+
+// Every setting is declared here with its type, default and allowed range. Values
+// are parsed once at load time; a setting that fails to parse falls back to its
+// default and the problem is recorded, so that validateConfig() (called by each
+// entry point before it does any work) can report every problem at once.
+
+const CRON_FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+/**
+ * Check a cron expression (5 fields, or 6 with seconds)
+ * @param {string} expression
+ * @returns {string|null} What is wrong with it, or null if it is valid
+ */
+function cronExpressionError(expression) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5 && parts.length !== 6) {
+    return `expected 5 or 6 fields, got ${parts.length}`;
+  }
+
+  const fields = parts.length === 6 ? CRON_FIELDS : CRON_FIELDS.slice(1);
+  for (const [index, part] of parts.entries()) {
+    const field = fields[index];
+    const toNumber = (token) => {
+      const nameIndex = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+      const number = nameIndex !== -1 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(token);
+      return /^\d+$/.test(token) || nameIndex !== -1 ? number : NaN;
+    };
+
+    for (const item of part.split(',')) {
+      const [range, step, extra] = item.split('/');
+      if (extra !== undefined || range === '') {
+        return `invalid ${field.name} "${item}"`;
+      }
+
+      let low = field.min;
+      let high = field.max;
+      if (range !== '*') {
+        const [start, end] = range.split('-').map(toNumber);
+        if (Number.isNaN(start) || (range.includes('-') && Number.isNaN(end))) {
+          return `invalid ${field.name} "${item}"`;
+        }
+        low = start;
+        high = range.includes('-') ? end : start;
+        if (low < field.min || high > field.max || low > high) {
+          return `${field.name} "${item}" is outside ${field.min}-${field.max}`;
+        }
+      }
+
+      if (step !== undefined) {
+        const stepValue = /^\d+$/.test(step) ? Number(step) : NaN;
+        if (!(stepValue >= 1) || stepValue > field.max - field.min) {
+          return `${field.name} step "/${step}" must be between 1 and ${field.max - field.min}`;
+        }
+      }
+    }
+  }
+
+  return cron.validate(expression) ? null : 'rejected by the scheduler';
+}
+
+/**
+ * Cron expression for "every N minutes", for the legacy *_INTERVAL_MINUTES settings
+ * @param {number} minutes
+ * @returns {string}
+ */
+function intervalToCron(minutes) {
+  if (minutes < 60) {
+    return `*/${minutes} * * * *`;
+  }
+  if (minutes % 60 === 0 && minutes / 60 < 24) {
+    return `0 */${minutes / 60} * * *`;
+  }
+  if (minutes === 1440) {
+    return '0 0 * * *';
+  }
+  throw new Error(`${minutes} minutes can't be expressed as a cron schedule; use a value below 60, a whole number of hours or 1440`);
+}
+
+// Field types. parse(raw) returns the value or throws with the reason.
+const integer = (defaultValue, { min = -Infinity, max = Infinity } = {}) => ({
+  default: defaultValue,
+  parse(raw) {
+    if (!/^-?\d+$/.test(raw.trim())) {
+      throw new Error(`"${raw}" is not an integer`);
+    }
+    const value = Number(raw);
+    if (value < min || value > max) {
+      throw new Error(`${value} is outside ${min}..${max}`);
+    }
+    return value;
+  },
+});
+
+const number = (defaultValue, { min = -Infinity, max = Infinity, exclusiveMin = false } = {}) => ({
+  default: defaultValue,
+  parse(raw) {
+    const value = Number(raw);
+    if (raw.trim() === '' || !Number.isFinite(value)) {
+      throw new Error(`"${raw}" is not a number`);
+    }
+    if ((exclusiveMin ? value <= min : value < min) || value > max) {
+      throw new Error(`${value} is outside ${exclusiveMin ? '(' : ''}${min}..${max}`);
+    }
+    return value;
+  },
+});
+
+const boolean = defaultValue => ({
+  default: defaultValue,
+  parse(raw) {
+    const value = raw.trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(value)) {
+      return true;
+    }
+    if (['false', '0', 'no'].includes(value)) {
+      return false;
+    }
+    throw new Error(`"${raw}" is not a boolean (true/false)`);
+  },
+});
+
+const string = (defaultValue, { secret = false } = {}) => ({
+  default: defaultValue,
+  secret,
+  parse: raw => raw,
+});
+
+const url = (defaultValue, { secret = false } = {}) => ({
+  default: defaultValue,
+  secret,
+  parse(raw) {
+    let parsed;
+    try {
+      parsed = new URL(raw);
+    } catch (error) {
+      throw new Error(`"${raw}" is not a URL`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error(`"${raw}" must be an http(s) URL`);
+    }
+    return raw;
+  },
+});
+
+const oneOf = (values, defaultValue) => ({
+  default: defaultValue,
+  parse(raw) {
+    const value = raw.trim().toLowerCase();
+    if (!values.includes(value)) {
+      throw new Error(`"${raw}" must be one of: ${values.join(', ')}`);
+    }
+    return value;
+  },
+});
+
+// Comma-separated list; values restricts the items (null accepts any)
+const listOf = (values, defaultValue) => ({
+  default: defaultValue,
+  parse(raw) {
+    const items = raw.split(',').map(item => item.trim()).filter(Boolean);
+    const unknown = values ? items.filter(item => !values.includes(item)) : [];
+    if (unknown.length > 0) {
+      throw new Error(`unknown value(s) ${unknown.join(', ')}; expected: ${values.join(', ')}`);
+    }
+    if (items.length === 0) {
+      throw new Error('must list at least one value');
+    }
+    return items;
+  },
+});
+
+// Comma-separated list of http(s) URLs
+const urlList = defaultValue => ({
+  default: defaultValue,
+  parse(raw) {
+    const items = raw.split(',').map(item => item.trim()).filter(Boolean);
+    for (const item of items) {
+      url().parse(item);
+    }
+    return items;
+  },
+});
+
+// JSON object of provider -> { column: "dotted.path" | null }, checked against
+// the known providers and location columns
+const fieldMapping = providers => ({
+  default: {},
+  parse(raw) {
+    let mapping;
+    try {
+      mapping = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`is not valid JSON (${error.message})`);
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new Error('must be a JSON object keyed by provider');
+    }
+
+    for (const [provider, columns] of Object.entries(mapping)) {
+      if (!providers.includes(provider)) {
+        throw new Error(`unknown provider "${provider}"; expected: ${providers.join(', ')}`);
+      }
+      if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+        throw new Error(`"${provider}" must map columns to paths`);
+      }
+      for (const [column, path] of Object.entries(columns)) {
+        if (!ENRICHED_FIELDS.includes(column)) {
+          throw new Error(`unknown column "${column}"; expected: ${ENRICHED_FIELDS.join(', ')}`);
+        }
+        if (path !== null && (typeof path !== 'string' || path.trim() === '')) {
+          throw new Error(`"${provider}.${column}" must be a dotted path or null`);
+        }
+      }
+    }
+    return mapping;
+  },
+});
+
+// An empty string is allowed (and kept) when allowEmpty is set: it disables the job
+const cronExpression = (defaultValue, { allowEmpty = false } = {}) => ({
+  default: defaultValue,
+  allowEmpty,
+  parse(raw) {
+    if (raw.trim() === '' && allowEmpty) {
+      return '';
+    }
+    const problem = cronExpressionError(raw);
+    if (problem) {
+      throw new Error(`"${raw}" is not a valid cron expression: ${problem}`);
+    }
+    return raw.trim();
+  },
+});
+
+const timezone = () => ({
+  default: '',
+  parse(raw) {
+    if (raw.trim() === '') {
+      return '';
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: raw.trim() });
+    } catch (error) {
+      throw new Error(`"${raw}" is not an IANA time zone (e.g. Europe/Berlin)`);
+    }
+    return raw.trim();
+  },
+});
+
+// Defaults that depend on other settings receive the parsed values so far
+const SCHEMA = {
+  STORAGE_BACKEND: oneOf(['supabase', 'memory'], 'supabase'),
+  LOG_LEVEL: oneOf(['debug', 'info', 'warn', 'error'], 'info'),
+  LOG_FORMAT: oneOf(['json', 'text'], 'json'),
+  DRY_RUN: boolean(false),
+  SUPABASE_URL: url(undefined),
+  SUPABASE_KEY: string(undefined, { secret: true }),
+  API_BASE_URL: url('http://apiv1.avici.club:3200/api/v1/pipe/users/all'),
+  UPSTREAM_TIMEOUT_MS: integer(30000, { min: 1000 }),
+  UPSTREAM_MAX_RETRIES: integer(3, { min: 0, max: 10 }),
+  UPSTREAM_RETRY_BASE_MS: integer(1000, { min: 0 }),
+  UPSTREAM_RETRY_MAX_MS: integer(30000, { min: 0 }),
+  UPSTREAM_REQUESTS_PER_SECOND: number(0.3, { min: 0, exclusiveMin: true, max: 100 }),
+  UPSTREAM_AUTH: oneOf(['none', 'bearer', 'hmac'], 'none'),
+  UPSTREAM_AUTH_TOKEN: string(undefined, { secret: true }),
+  UPSTREAM_HMAC_SECRET: string(undefined, { secret: true }),
+  UPSTREAM_HMAC_HEADER: string('X-Signature'),
+  CRON_TIMEZONE: timezone(),
+  SYNC_INTERVAL_MINUTES: integer(10, { min: 1, max: 1440 }),
+  SYNC_CRON: cronExpression(values => intervalToCron(values.SYNC_INTERVAL_MINUTES)),
+  SYNC_UPSERT_CHUNK_SIZE: integer(500, { min: 1, max: 10000 }),
+  SYNC_MAX_PAGE_DEPTH: integer(20, { min: 1 }),
+  SYNC_RECONCILIATION_MAX_PAGES: integer(50, { min: 0 }),
+  SYNC_CHECKPOINT_RECENT_IDS: integer(20, { min: 1, max: 1000 }),
+  SYNC_CAPTURE_UPDATES: boolean(true),
+  RECONCILIATION_CRON: cronExpression('0 3 * * *', { allowEmpty: true }),
+  RECONCILIATION_REPAIR: boolean(false),
+  RECONCILIATION_APPLY_UPDATES: boolean(false),
+  RECONCILIATION_PAGE_DELAY_MS: integer(5000, { min: 0 }),
+  RECONCILIATION_SAMPLE_SIZE: integer(100, { min: 0, max: 10000 }),
+  ADMIN_HOST: string('127.0.0.1'),
+  SYNC_ADMIN_PORT: integer(3101, { min: 0, max: 65535 }),
+  ENRICHMENT_ADMIN_PORT: integer(3102, { min: 0, max: 65535 }),
+  ADMIN_API_TOKEN: string(undefined, { secret: true }),
+  JOB_LOCK_TTL_SECONDS: integer(300, { min: 10 }),
+  IP_GEOLOCATION_API_KEY: string(undefined, { secret: true }),
+  IP_GEOLOCATION_API_URL: url('https://api.ipgeolocation.io/v2/ipgeo'),
+  IP_GEOLOCATION_INCLUDE: listOf(null, []),
+  GEOLOCATION_PROVIDERS: listOf(['ipgeolocation', 'ip-api', 'maxmind'], ['ipgeolocation']),
+  GEOLOCATION_FIELD_MAPPING: fieldMapping(['ipgeolocation', 'ip-api', 'maxmind']),
+  IP_API_KEY: string(undefined, { secret: true }),
+  IP_API_URL: url(values => (values.IP_API_KEY ? 'https://pro.ip-api.com/json' : 'http://ip-api.com/json')),
+  MAXMIND_DB_PATH: string(undefined),
+  ENRICHMENT_INTERVAL_MINUTES: integer(10, { min: 1, max: 1440 }),
+  ENRICHMENT_CRON: cronExpression(values => intervalToCron(values.ENRICHMENT_INTERVAL_MINUTES)),
+  ENRICHMENT_BATCH_SIZE: integer(50, { min: 1, max: 1000 }),
+  ENRICHMENT_CONCURRENCY: integer(4, { min: 1, max: 64 }),
+  ENRICHMENT_REQUESTS_PER_SECOND: number(5, { min: 0, exclusiveMin: true, max: 1000 }),
+  GEOLOCATION_MAX_RETRIES: integer(3, { min: 0, max: 10 }),
+  ENRICHMENT_MAX_ATTEMPTS: integer(5, { min: 1 }),
+  ENRICHMENT_RETRY_BASE_MINUTES: integer(30, { min: 1 }),
+  ENRICHMENT_RETRY_MAX_MINUTES: integer(1440, { min: 1 }),
+  GEOLOCATION_CACHE_TTL_HOURS: integer(720, { min: 0 }),
+  RISK_SCORING_ENABLED: boolean(true),
+  RISK_BATCH_SIZE: integer(200, { min: 1, max: 500 }),
+  RISK_WINDOW_MINUTES: integer(1440, { min: 1 }),
+  RISK_ACCOUNTS_PER_IP: integer(3, { min: 0 }),
+  RISK_ACCOUNTS_PER_SUBNET: integer(10, { min: 0 }),
+  RISK_EXTRA_DISPOSABLE_DOMAINS: listOf(null, []),
+  WEBHOOK_ENDPOINTS: urlList([]),
+  WEBHOOK_SECRET: string(undefined, { secret: true }),
+  WEBHOOK_EVENTS: listOf(['user.created', 'user.updated', 'user.enriched'], ['user.created', 'user.updated', 'user.enriched']),
+  WEBHOOK_DELIVERY_CRON: cronExpression('* * * * *', { allowEmpty: true }),
+  WEBHOOK_BATCH_SIZE: integer(100, { min: 1, max: 1000 }),
+  WEBHOOK_TIMEOUT_MS: integer(10000, { min: 1000 }),
+  WEBHOOK_MAX_ATTEMPTS: integer(10, { min: 1 }),
+  WEBHOOK_RETRY_BASE_SECONDS: integer(30, { min: 1 }),
+  WEBHOOK_RETRY_MAX_MINUTES: integer(360, { min: 1 }),
+  ALERT_SINKS: listOf(['webhook', 'slack', 'email'], []),
+  ALERT_REPEAT_MINUTES: integer(60, { min: 0 }),
+  ALERT_WEBHOOK_URL: url(undefined, { secret: true }),
+  ALERT_SLACK_WEBHOOK_URL: url(undefined, { secret: true }),
+  ALERT_SMTP_HOST: string(undefined),
+  ALERT_SMTP_PORT: integer(587, { min: 1, max: 65535 }),
+  ALERT_SMTP_SECURE: boolean(false),
+  ALERT_SMTP_USER: string(undefined),
+  ALERT_SMTP_PASSWORD: string(undefined, { secret: true }),
+  ALERT_EMAIL_FROM: string(undefined),
+  ALERT_EMAIL_TO: listOf(null, []),
+  ALERT_SYNC_STALE_MINUTES: integer(60, { min: 0 }),
+  ALERT_ENRICHMENT_FAILURE_PERCENT: integer(50, { min: 0, max: 100 }),
+  ALERT_ENRICHMENT_MIN_USERS: integer(20, { min: 1 }),
+  ALERT_SIGNUP_BASELINE_HOURS: integer(168, { min: 0, max: 24 * 90 }),
+  ALERT_SIGNUP_DEVIATION: number(3, { min: 0, exclusiveMin: true }),
+  ALERT_SIGNUP_MIN_CHANGE: integer(10, { min: 0 }),
+  ALERT_SIGNUPS_PER_IP: integer(20, { min: 0 }),
+  ALERT_SIGNUPS_PER_IP_WINDOW_MINUTES: integer(60, { min: 1 }),
+};
+
+function loadConfig(env) {
+  const values = {};
+  const errors = [];
+  const invalid = new Set();
+
+  for (const [name, field] of Object.entries(SCHEMA)) {
+    const raw = env[name];
+    const useDefault = () => {
+      try {
+        return typeof field.default === 'function' ? field.default(values) : field.default;
+      } catch (error) {
+        errors.push(`${name}: ${error.message}`);
+        return undefined;
+      }
+    };
+
+    // Unset (or, for fields without an empty meaning, blank) means "use the default"
+    if (raw === undefined || (raw.trim() === '' && !field.allowEmpty)) {
+      values[name] = useDefault();
+      continue;
+    }
+
+    try {
+      values[name] = field.parse(raw, values);
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+      invalid.add(name);
+      values[name] = useDefault();
+    }
+  }
+
+  if (values.ENRICHMENT_RETRY_BASE_MINUTES > values.ENRICHMENT_RETRY_MAX_MINUTES) {
+    errors.push('ENRICHMENT_RETRY_BASE_MINUTES must not exceed ENRICHMENT_RETRY_MAX_MINUTES');
+  }
+  if (values.UPSTREAM_RETRY_BASE_MS > values.UPSTREAM_RETRY_MAX_MS) {
+    errors.push('UPSTREAM_RETRY_BASE_MS must not exceed UPSTREAM_RETRY_MAX_MS');
+  }
+
+  return { values, errors, invalid };
+}
+
+const { values, errors: parseErrors, invalid: invalidFields } = loadConfig(process.env);
+
+/**
+ * Check the configuration for a service and throw if anything is wrong.
+ * Reports type/range errors from loading plus the settings the service requires.
+ * @param {string} service - 'sync', 'enrichment' or 'cli'
+ * @throws {Error} Listing every problem; the list is also on `error.errors`
+ */
+function validateConfig(service) {
+  const errors = [...parseErrors];
+
+  if (values.STORAGE_BACKEND === 'supabase') {
+    for (const name of ['SUPABASE_URL', 'SUPABASE_KEY']) {
+      if (!values[name]) {
+        errors.push(`${name}: required when STORAGE_BACKEND=supabase`);
+      }
+    }
+  }
+
+  if (service !== 'enrichment') {
+    if (values.UPSTREAM_AUTH === 'bearer' && !values.UPSTREAM_AUTH_TOKEN) {
+      errors.push('UPSTREAM_AUTH_TOKEN: required when UPSTREAM_AUTH=bearer');
+    }
+    if (values.UPSTREAM_AUTH === 'hmac' && !values.UPSTREAM_HMAC_SECRET) {
+      errors.push('UPSTREAM_HMAC_SECRET: required when UPSTREAM_AUTH=hmac');
+    }
+  }
+
+  // Provider requirements are only meaningful for the list that was actually set
+  if (service === 'enrichment' && !invalidFields.has('GEOLOCATION_PROVIDERS')) {
+    if (values.GEOLOCATION_PROVIDERS.includes('ipgeolocation') && !values.IP_GEOLOCATION_API_KEY) {
+      errors.push('IP_GEOLOCATION_API_KEY: required when GEOLOCATION_PROVIDERS includes ipgeolocation');
+    }
+    if (values.GEOLOCATION_PROVIDERS.includes('maxmind') && !values.MAXMIND_DB_PATH) {
+      errors.push('MAXMIND_DB_PATH: required when GEOLOCATION_PROVIDERS includes maxmind (path to GeoLite2-City.mmdb)');
+    }
+  }
+
+  if (values.WEBHOOK_ENDPOINTS.length > 0 && !values.WEBHOOK_SECRET) {
+    errors.push('WEBHOOK_SECRET: required when WEBHOOK_ENDPOINTS is set (deliveries are signed with it)');
+  }
+
+  const sinkRequirements = {
+    webhook: ['ALERT_WEBHOOK_URL'],
+    slack: ['ALERT_SLACK_WEBHOOK_URL'],
+    email: ['ALERT_SMTP_HOST', 'ALERT_EMAIL_FROM', 'ALERT_EMAIL_TO'],
+  };
+  for (const sink of values.ALERT_SINKS) {
+    for (const name of sinkRequirements[sink]) {
+      const value = values[name];
+      if (!value || (Array.isArray(value) && value.length === 0)) {
+        errors.push(`${name}: required when ALERT_SINKS includes ${sink}`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n  - ${errors.join('\n  - ')}`);
+    error.errors = errors;
+    throw error;
+  }
+}
+
+/**
+ * The effective configuration with secrets masked, for the startup summary
+ * @returns {Object} Setting name -> value ('********' for secrets that are set)
+ */
+function describeConfig() {
+  return Object.fromEntries(Object.entries(SCHEMA).map(([name, field]) => [
+    name,
+    field.secret && values[name] ? '********' : values[name] ?? null,
+  ]));
+}
 
 module.exports = {
-  SUPABASE_URL: process.env.SUPABASE_URL,
-  SUPABASE_KEY: process.env.SUPABASE_KEY,
-  API_BASE_URL: process.env.API_BASE_URL || 'http://apiv1.avici.club:3200/api/v1/pipe/users/all',
-  SYNC_INTERVAL_MINUTES: parseInt(process.env.SYNC_INTERVAL_MINUTES || '10', 10),
-  IP_GEOLOCATION_API_KEY: process.env.IP_GEOLOCATION_API_KEY,
-  IP_GEOLOCATION_API_URL: process.env.IP_GEOLOCATION_API_URL || 'https://api.ipgeolocation.io/v2/ipgeo',
-  ENRICHMENT_INTERVAL_MINUTES: parseInt(process.env.ENRICHMENT_INTERVAL_MINUTES || '10', 10),
-  ENRICHMENT_BATCH_SIZE: parseInt(process.env.ENRICHMENT_BATCH_SIZE || '50', 10),
+  ...values,
+  validateConfig,
+  describeConfig,
 };
@@ -0,0 +1,59 @@
+// A dry-run report collects the writes a sync or enrichment run would have made.
+// Functions that write take `{ dryRun }` where dryRun is a report (or null for a
+// normal run); with a report they record the intended write in it instead:
+//   inserts    - id_users rows that would be inserted
+//   updates    - upstream changes that would be applied ({ user_id, updates, changes, ip_changed })
+//   enrichment - enrichment and risk score row updates ({ user_id, ...columns })
+//   quarantine - invalid upstream users that would be quarantined ({ user_id, reason, page, payload })
+//   events     - user events that would be written to the webhook outbox ({ id, type, createdAt, data })
+//   checkpoint - checkpoint move ({ from, to }), null if it would not move
+
+const logger = require('./logger');
+
+/**
+ * Create an empty dry-run report
+ * @returns {{dryRun: true, inserts: Array, updates: Array, enrichment: Array, quarantine: Array, events: Array, checkpoint: Object|null}}
+ */
+function createDryRunReport() {
+  return {
+    dryRun: true,
+    inserts: [],
+    updates: [],
+    enrichment: [],
+    quarantine: [],
+    events: [],
+    checkpoint: null,
+  };
+}
+
+/**
+ * Summarise a report for log lines
+ * @param {Object} report - Report from createDryRunReport
+ * @returns {{inserts: number, updates: number, enrichment: number, quarantine: number, events: number, checkpointTo: string|null}}
+ */
+function summarizeDryRunReport(report) {
+  return {
+    inserts: report.inserts.length,
+    updates: report.updates.length,
+    enrichment: report.enrichment.length,
+    quarantine: report.quarantine.length,
+    events: report.events.length,
+    checkpointTo: report.checkpoint?.to?.userId || null,
+  };
+}
+
+/**
+ * Log the end of a dry run: the counts at info level, the full report at debug
+ * level. Callers also return the report (the CLI prints it with --json).
+ * @param {Object} report - Report from createDryRunReport
+ */
+function logDryRunReport(report) {
+  logger.info('Dry run complete, nothing was written', summarizeDryRunReport(report));
+  logger.debug('Dry run report', { report });
+}
+
+module.exports = {
+  createDryRunReport,
+  summarizeDryRunReport,
+  logDryRunReport,
+};
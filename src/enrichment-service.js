@@ -1,51 +1,78 @@
-const cron = require('node-cron');
-const { enrichUsers } = require('./enrichment');
 const config = require('./config');
+const logger = require('./logger');
 
-console.log('IP Geolocation Enrichment Service starting...');
-console.log(`Enrichment interval: ${config.ENRICHMENT_INTERVAL_MINUTES} minutes`);
-console.log(`Batch size: ${config.ENRICHMENT_BATCH_SIZE} users per batch`);
-
-if (!config.IP_GEOLOCATION_API_KEY) {
-  console.error('ERROR: IP_GEOLOCATION_API_KEY is not set in environment variables!');
-  console.error('Please add IP_GEOLOCATION_API_KEY to your .env file.');
+// Fail fast, listing every configuration problem at once. This runs before the
+// other modules load because storage picks (and connects) its backend on require.
+try {
+  config.validateConfig('enrichment');
+} catch (error) {
+  logger.error('Invalid configuration, not starting', { errors: error.errors });
   process.exit(1);
 }
 
+const cron = require('node-cron');
+const { enrichUsers } = require('./enrichment');
+const { countUsersNeedingEnrichment } = require('./storage');
+const { releaseAllLocks } = require('./job-lock');
+const { createJob } = require('./job-runner');
+const { startAdminServer } = require('./admin-server');
+const { evaluateAlerts } = require('./alerts');
+
+logger.info('IP Geolocation Enrichment Service starting...', {
+  enrichmentCron: config.ENRICHMENT_CRON,
+  timezone: config.CRON_TIMEZONE || 'local',
+  batchSize: config.ENRICHMENT_BATCH_SIZE,
+  providers: config.GEOLOCATION_PROVIDERS,
+});
+logger.info('Configuration', config.describeConfig());
+
+// Alert rules are checked after every run, failed ones included (not on a dry run,
+// since evaluating them saves alert state)
+const enrichmentJob = createJob('enrichment', enrichUsers, { afterRun: config.DRY_RUN ? null : evaluateAlerts });
+
+startAdminServer({
+  service: 'user-enrichment-service',
+  port: config.ENRICHMENT_ADMIN_PORT,
+  jobs: [enrichmentJob],
+  getStatus: async () => ({
+    backlog: await countUsersNeedingEnrichment(),
+  }),
+});
+
 // Run initial enrichment on startup
-enrichUsers()
-  .then((result) => {
-    console.log(`Initial enrichment completed: ${result.totalProcessed} processed, ${result.totalEnriched} enriched.`);
+enrichmentJob.run('startup')
+  .then(({ skipped, runId, result }) => {
+    if (skipped) return;
+    logger.info('Initial enrichment completed', { job: 'enrichment', runId, ...result });
   })
   .catch((error) => {
-    console.error('Initial enrichment failed:', error.message);
+    logger.error('Initial enrichment failed', { job: 'enrichment', error });
     // Continue anyway - cron will retry
   });
 
-// Schedule enrichment every N minutes
-const cronExpression = `*/${config.ENRICHMENT_INTERVAL_MINUTES} * * * *`;
-console.log(`Scheduling enrichments with cron expression: ${cronExpression}`);
+// Schedule enrichment (ENRICHMENT_CRON, or derived from ENRICHMENT_INTERVAL_MINUTES)
+logger.info('Scheduling enrichments', { cron: config.ENRICHMENT_CRON });
 
-cron.schedule(cronExpression, async () => {
-  console.log(`\n[${new Date().toISOString()}] Scheduled enrichment starting...`);
+cron.schedule(config.ENRICHMENT_CRON, async () => {
+  logger.info('Scheduled enrichment starting...', { job: 'enrichment' });
   try {
-    const result = await enrichUsers();
-    console.log(`[${new Date().toISOString()}] Scheduled enrichment completed: ${result.totalProcessed} processed, ${result.totalEnriched} enriched.`);
+    const { skipped, runId, result } = await enrichmentJob.run('cron');
+    if (skipped) return;
+    logger.info('Scheduled enrichment completed', { job: 'enrichment', runId, ...result });
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Scheduled enrichment failed:`, error.message);
+    logger.error('Scheduled enrichment failed', { job: 'enrichment', error });
     // Don't throw - allow cron to continue scheduling
   }
-});
+}, { timezone: config.CRON_TIMEZONE || undefined });
 
-console.log('Enrichment service is running. Press Ctrl+C to stop.');
+logger.info('Enrichment service is running. Press Ctrl+C to stop.');
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\nShutting down enrichment service gracefully...');
+async function shutdown() {
+  logger.info('Shutting down enrichment service gracefully...');
+  await releaseAllLocks();
   process.exit(0);
-});
+}
 
-process.on('SIGTERM', () => {
-  console.log('\nShutting down enrichment service gracefully...');
-  process.exit(0);
-});
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
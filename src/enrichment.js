@@ -1,250 +1,472 @@
-const axios = require('axios');
 const config = require('./config');
-const { supabase } = require('./supabase');
+const storage = require('./storage');
+const { ENRICHMENT_STATUS, isMissingValue } = require('./users');
+const { classifyIP } = require('./ip-classification');
+const { sleep, mapWithConcurrency } = require('./concurrency');
+const { createProviders, normalizePayload } = require('./geolocation-providers');
+const metrics = require('./metrics');
+const logger = require('./logger');
+const { createDryRunReport, logDryRunReport } = require('./dry-run');
+const { refreshRollupsAfterRun } = require('./rollups');
+const { createOutboxRows, countEmittedEvents } = require('./outbox');
+const { scoreRisk } = require('./risk-scoring');
+
+// Lookups ignore cache entries fetched before this time (set by `reenrich`, since
+// entries fetched for an older field mapping can lack fields it now maps)
+const CACHE_VALID_FROM_KEY = 'geolocation_cache_valid_from';
 
 /**
  * Check if an IP address is private/invalid
  * @param {string} ip - IP address to validate
- * @returns {boolean} True if IP is private or invalid
+ * @returns {boolean} True if IP is not a public address (see classifyIP for the reason)
  */
 function isPrivateIP(ip) {
-  if (!ip) return true;
-  
-  // IPv4 private ranges
-  const privateRanges = [
-    /^10\./,
-    /^172\.(1[6-9]|2[0-9]|3[0-1])\./,
-    /^192\.168\./,
-    /^127\./,
-    /^169\.254\./,
-    /^0\./,
-  ];
-  
-  return privateRanges.some(range => range.test(ip));
+  return !classifyIP(ip).public;
 }
 
 /**
  * Get users that need enrichment (have null enrichment fields)
  * @param {number} batchSize - Number of users to fetch
- * @param {number} offset - Offset for pagination
- * @returns {Promise<Array>} Array of users needing enrichment
+ * @param {string|null} afterUserId - Keyset cursor: only return users with a greater user_id
+ * @returns {Promise<Array>} Array of users needing enrichment, ordered by user_id
  */
-async function getUsersNeedingEnrichment(batchSize, offset = 0) {
+async function getUsersNeedingEnrichment(batchSize, afterUserId = null) {
   try {
-    // Query for users where ip_address is not null and at least one enrichment field is null
-    let query = supabase
-      .from('id_users')
-      .select('user_id, ip_address, country_name_official, state, city, district, country_code')
-      .not('ip_address', 'is', null)
-      .or('country_name_official.is.null,state.is.null,city.is.null,district.is.null,country_code.is.null')
-      .range(offset, offset + batchSize - 1);
-
-    const { data, error } = await query;
-
-    if (error) {
-      throw error;
-    }
-
-    return data || [];
+    // Users with an ip_address, at least one null enrichment field, not yet enriched or
+    // marked unresolvable, and whose retry backoff (if any) has elapsed
+    return await storage.getUsersNeedingEnrichment(batchSize, afterUserId);
   } catch (error) {
-    console.error('Error fetching users needing enrichment:', error);
+    logger.error('Error fetching users needing enrichment', { error });
     throw error;
   }
 }
 
+// Configured providers, in fallback order
+const geolocationProviders = createProviders();
+
+// Lookups currently in flight, keyed by IP, so concurrent workers share one API call
+const inFlightLookups = new Map();
+
+/**
+ * Request geolocation data for an IP address, trying each configured provider in
+ * order until one returns at least one location column
+ * @param {string} ipAddress - IP address to look up
+ * @returns {Promise<{provider: string, payload: Object, location: Object}>}
+ *   `payload` is the provider's raw response, `location` its normalised columns
+ * @throws {Error} When every provider failed; `terminal: true` if all failures were terminal
+ */
+async function requestGeolocationData(ipAddress) {
+  const failures = [];
+  let terminal = true;
+
+  for (const [index, provider] of geolocationProviders.entries()) {
+    try {
+      const payload = await provider.lookup(ipAddress);
+      const location = provider.normalize(payload);
+      if (Object.keys(location).length > 0) {
+        return { provider: provider.name, payload, location };
+      }
+      failures.push(`${provider.name}: no location data`);
+    } catch (error) {
+      failures.push(`${provider.name}: ${error.message}`);
+      terminal = terminal && Boolean(error.terminal);
+    }
+
+    if (index < geolocationProviders.length - 1) {
+      logger.info('Provider could not locate IP, trying next provider...', { provider: provider.name, ip: ipAddress });
+    }
+  }
+
+  const error = new Error(failures.join('; '));
+  error.terminal = terminal;
+  throw error;
+}
+
 /**
  * Fetch geolocation data for an IP address
  * @param {string} ipAddress - IP address to look up
- * @returns {Promise<Object|null>} Geolocation data or null if error
+ * @returns {Promise<{provider: string, payload: Object, location: Object}|null>} Geolocation data or null if error
  */
 async function fetchGeolocationData(ipAddress) {
-  if (!ipAddress || isPrivateIP(ipAddress)) {
-    console.log(`Skipping private/invalid IP: ${ipAddress}`);
+  const classification = classifyIP(ipAddress);
+  if (!classification.public) {
+    logger.info(`Skipping ${classification.reason} IP`, { ip: ipAddress });
     return null;
   }
 
   try {
-    const url = `${config.IP_GEOLOCATION_API_URL}?apiKey=${config.IP_GEOLOCATION_API_KEY}&ip=${ipAddress}`;
-    const response = await axios.get(url, {
-      timeout: 10000, // 10 second timeout
-    });
-
-    return response.data;
+    return await requestGeolocationData(classification.address);
   } catch (error) {
-    if (error.response) {
-      console.error(`API error for IP ${ipAddress}: ${error.response.status} - ${error.response.statusText}`);
-    } else if (error.request) {
-      console.error(`Network error for IP ${ipAddress}: No response from API`);
-    } else {
-      console.error(`Error fetching geolocation for IP ${ipAddress}:`, error.message);
-    }
+    logger.error('Error fetching geolocation', { ip: ipAddress, error });
     return null;
   }
 }
 
 /**
- * Update user record with geolocation data
- * Only updates fields that are currently null
- * @param {string} userId - User ID to update
- * @param {Object} geolocationData - Geolocation data from API
- * @returns {Promise<boolean>} True if update was successful
+ * Time before which geolocation cache entries are ignored
+ * @returns {Promise<number>} Epoch milliseconds (0 when every entry is valid)
+ */
+async function getCacheValidFrom() {
+  const value = await storage.getSyncState(CACHE_VALID_FROM_KEY);
+  return value ? new Date(value).getTime() : 0;
+}
+
+/**
+ * Make lookups ignore every geolocation cache entry fetched until now, so each IP
+ * is requested from the providers (and cached again) the next time it is looked up
+ * @returns {Promise<string>} The new cutoff (ISO timestamp)
+ */
+async function expireGeolocationCache() {
+  const validFrom = new Date().toISOString();
+  await storage.setSyncState({ [CACHE_VALID_FROM_KEY]: validFrom });
+  return validFrom;
+}
+
+/**
+ * Look up geolocation data for an IP, using the persistent cache when possible.
+ * Concurrent lookups of the same IP share a single request. Cache hits/misses are
+ * counted in the geolocation cache metric (a shared in-flight request counts as a hit).
+ * @param {string} ipAddress - Public IP address to look up, as normalised by classifyIP
+ *   (it is the cache key)
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report; when set, the cache is read but not written
+ * @param {number} [options.cacheValidFrom] - Result of getCacheValidFrom, read once per
+ *   run by callers looking up many IPs; read here when left out
+ * @returns {Promise<{provider: string, payload: Object, location: Object, cacheHit: boolean}>}
+ *   Geolocation data; cacheHit is false when a provider was asked
+ * @throws {Error} When every provider failed (see requestGeolocationData)
  */
-async function enrichUser(userId, geolocationData) {
-  if (!geolocationData || !geolocationData.location) {
-    return false;
+async function lookupGeolocation(ipAddress, { dryRun = null, cacheValidFrom } = {}) {
+  if (inFlightLookups.has(ipAddress)) {
+    metrics.geolocationCacheLookups.inc({ result: 'hit' });
+    return { ...await inFlightLookups.get(ipAddress), cacheHit: true };
   }
 
-  try {
-    const location = geolocationData.location;
-    
-    // Build update object with only non-null values from API
-    const updates = {};
-    
-    if (location.country_name_official) {
-      updates.country_name_official = location.country_name_official;
-    }
-    if (location.state_prov) {
-      updates.state = location.state_prov;
-    }
-    if (location.city) {
-      updates.city = location.city;
-    }
-    if (location.district) {
-      updates.district = location.district;
-    }
-    if (location.country_code2) {
-      updates.country_code = location.country_code2;
+  const lookup = (async () => {
+    try {
+      const cached = await storage.getCachedGeolocation(ipAddress);
+      const ttlMs = config.GEOLOCATION_CACHE_TTL_HOURS * 60 * 60 * 1000;
+      const fetchedAt = cached ? new Date(cached.fetched_at).getTime() : 0;
+      if (cached && Date.now() - fetchedAt < ttlMs && fetchedAt > (cacheValidFrom ?? await getCacheValidFrom())) {
+        metrics.geolocationCacheLookups.inc({ result: 'hit' });
+        return {
+          provider: cached.provider,
+          payload: cached.payload,
+          location: normalizePayload(cached.provider, cached.payload),
+          cacheHit: true,
+        };
+      }
+    } catch (error) {
+      // A broken cache should never block enrichment - fall through to the API
+      logger.error('Error reading geolocation cache', { ip: ipAddress, error });
     }
 
-    if (Object.keys(updates).length === 0) {
-      return false;
+    metrics.geolocationCacheLookups.inc({ result: 'miss' });
+    const geolocationData = { ...await requestGeolocationData(ipAddress), cacheHit: false };
+    if (dryRun) {
+      return geolocationData;
     }
 
-    // Use COALESCE to only update null fields
-    // Supabase doesn't support COALESCE directly in update, so we'll use a different approach
-    // First, get the current user to check which fields are null
-    const { data: currentUser, error: fetchError } = await supabase
-      .from('id_users')
-      .select('country_name_official, state, city, district, country_code')
-      .eq('user_id', userId)
-      .single();
-
-    if (fetchError) {
-      throw fetchError;
+    try {
+      await storage.saveCachedGeolocation(ipAddress, geolocationData.payload, geolocationData.provider);
+    } catch (error) {
+      logger.error('Error writing geolocation cache', { ip: ipAddress, error });
     }
 
-    // Only update fields that are currently null
-    const finalUpdates = {};
-    if (updates.country_name_official && !currentUser.country_name_official) {
-      finalUpdates.country_name_official = updates.country_name_official;
-    }
-    if (updates.state && !currentUser.state) {
-      finalUpdates.state = updates.state;
-    }
-    if (updates.city && !currentUser.city) {
-      finalUpdates.city = updates.city;
-    }
-    if (updates.district && !currentUser.district) {
-      finalUpdates.district = updates.district;
-    }
-    if (updates.country_code && !currentUser.country_code) {
-      finalUpdates.country_code = updates.country_code;
-    }
+    return geolocationData;
+  })();
 
-    if (Object.keys(finalUpdates).length === 0) {
-      return false;
-    }
+  inFlightLookups.set(ipAddress, lookup);
+  try {
+    return await lookup;
+  } finally {
+    inFlightLookups.delete(ipAddress);
+  }
+}
+
+/**
+ * Compute when a failed user may be retried: base delay doubled per attempt, capped
+ * @param {number} attempts - Number of attempts made so far (>= 1)
+ * @returns {Date} Earliest time for the next attempt
+ */
+function nextAttemptAt(attempts) {
+  const delayMinutes = Math.min(
+    config.ENRICHMENT_RETRY_BASE_MINUTES * 2 ** (attempts - 1),
+    config.ENRICHMENT_RETRY_MAX_MINUTES
+  );
+  return new Date(Date.now() + delayMinutes * 60 * 1000);
+}
 
-    const { error } = await supabase
-      .from('id_users')
-      .update(finalUpdates)
-      .eq('user_id', userId);
+/**
+ * Build the enrichment status fields for the outcome of an attempt
+ * @param {Object} user - Candidate row (needs enrichment_status and enrichment_attempts)
+ * @param {string|null} errorMessage - Null on success
+ * @param {boolean} terminal - Mark the user unresolvable regardless of attempts left
+ * @returns {Object} enrichment_* column updates
+ */
+function buildEnrichmentAttempt(user, errorMessage = null, terminal = false) {
+  const attempts = (user.enrichment_attempts || 0) + 1;
+  const updates = {
+    enrichment_attempts: attempts,
+    enrichment_last_attempt_at: new Date().toISOString(),
+    enrichment_last_error: errorMessage,
+    enrichment_next_attempt_at: null,
+  };
+
+  // A user queued for the backfill was located before, so it keeps its status on
+  // retries and goes back to enriched when the backfill gives up
+  const backfill = user.enrichment_status === ENRICHMENT_STATUS.BACKFILL;
+  if (!errorMessage) {
+    updates.enrichment_status = ENRICHMENT_STATUS.ENRICHED;
+  } else if (terminal || attempts >= config.ENRICHMENT_MAX_ATTEMPTS) {
+    updates.enrichment_status = backfill ? ENRICHMENT_STATUS.ENRICHED : ENRICHMENT_STATUS.UNRESOLVABLE;
+  } else {
+    updates.enrichment_status = backfill ? ENRICHMENT_STATUS.BACKFILL : ENRICHMENT_STATUS.RETRY;
+    updates.enrichment_next_attempt_at = nextAttemptAt(attempts).toISOString();
+  }
+
+  return updates;
+}
 
-    if (error) {
-      throw error;
+/**
+ * Keep only the location updates for columns that are currently null
+ * @param {Object} currentUser - Current location columns of the user
+ * @param {Object} updates - Normalised location columns from a provider
+ * @returns {Object} Updates that would fill a null column
+ */
+function missingLocationUpdates(currentUser, updates) {
+  const finalUpdates = {};
+  for (const [field, value] of Object.entries(updates)) {
+    if (isMissingValue(currentUser[field])) {
+      finalUpdates[field] = value;
     }
+  }
+  return finalUpdates;
+}
+
+/**
+ * Build a user.enriched event item
+ * @param {string} userId
+ * @param {string} provider - Provider the location came from
+ * @param {Object} location - Location columns that were filled
+ * @returns {{userId: string, data: Object}}
+ */
+function enrichedEvent(userId, provider, location) {
+  return { userId, data: { user_id: userId, provider, location } };
+}
+
+/**
+ * Resolve one candidate user to the row update to write for it
+ * @param {Object} user - Candidate row from getUsersNeedingEnrichment
+ * @param {Object} options
+ * @param {Object|null} options.dryRun - Dry-run report (see lookupGeolocation)
+ * @param {number} options.cacheValidFrom - Result of getCacheValidFrom
+ * @returns {Promise<{update: Object, outcome: string, event: Object|null, cacheHit: boolean|null}>}
+ *   outcome is 'enriched' (with the user.enriched event to emit), 'unchanged', 'skipped'
+ *   (non-public IP, stored as unresolvable), 'failed' or 'unresolvable'; cacheHit is
+ *   null when the geolocation cache was not consulted
+ */
+async function resolveUser(user, { dryRun, cacheValidFrom }) {
+  const classification = classifyIP(user.ip_address);
+  if (!classification.public) {
+    logger.info(`Skipping ${classification.reason} IP`, { ip: user.ip_address });
+    return {
+      update: { user_id: user.user_id, ...buildEnrichmentAttempt(user, `Skipped IP: ${classification.reason}`, true) },
+      outcome: 'skipped',
+      event: null,
+      cacheHit: null,
+    };
+  }
 
-    return true;
+  try {
+    const geolocationData = await lookupGeolocation(classification.address, { dryRun, cacheValidFrom });
+    // The candidate row already carries the current location columns, so there is
+    // no need to re-select the user before deciding which fields to fill
+    const locationUpdates = missingLocationUpdates(user, geolocationData.location);
+    const enriched = Object.keys(locationUpdates).length > 0;
+    const providerUpdate = enriched ? { geolocation_provider: geolocationData.provider } : {};
+    return {
+      update: {
+        user_id: user.user_id,
+        ...locationUpdates,
+        ...providerUpdate,
+        geolocation_payload: geolocationData.payload,
+        ...buildEnrichmentAttempt(user),
+      },
+      outcome: enriched ? 'enriched' : 'unchanged',
+      event: enriched ? enrichedEvent(user.user_id, geolocationData.provider, locationUpdates) : null,
+      cacheHit: geolocationData.cacheHit,
+    };
   } catch (error) {
-    console.error(`Error enriching user ${userId}:`, error);
-    return false;
+    logger.error('Error processing user', { ip: user.ip_address, error });
+    const statusUpdates = buildEnrichmentAttempt(user, error.message, error.terminal);
+    return {
+      update: { user_id: user.user_id, ...statusUpdates },
+      outcome: statusUpdates.enrichment_status === ENRICHMENT_STATUS.UNRESOLVABLE ? 'unresolvable' : 'failed',
+      event: null,
+      // Failed lookups went to (or waited on) a provider
+      cacheHit: false,
+    };
   }
 }
 
 /**
- * Process a batch of users for enrichment
+ * Process a batch of users for enrichment.
+ * Lookups run in a bounded worker pool (ENRICHMENT_CONCURRENCY) sharing one rate
+ * limiter; the resulting row updates are written in a single batched call.
  * @param {number} batchSize - Number of users to process in this batch
- * @param {number} offset - Offset for pagination
- * @returns {Promise<{processed: number, enriched: number, hasMore: boolean}>}
+ * @param {string|null} afterUserId - Keyset cursor: the last user_id of the previous batch
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report to record the row updates in instead
+ * @param {number} [options.cacheValidFrom] - Result of getCacheValidFrom, read once per
+ *   run; read for this batch when left out
+ * @returns {Promise<{processed: number, enriched: number, skipped: number, failed: number, unresolvable: number, cacheHits: number, cacheMisses: number, lastUserId: string|null, hasMore: boolean}>}
  */
-async function processEnrichmentBatch(batchSize, offset = 0) {
+async function processEnrichmentBatch(batchSize, afterUserId = null, { dryRun = null, cacheValidFrom } = {}) {
   try {
-    const users = await getUsersNeedingEnrichment(batchSize, offset);
-    
+    const users = await getUsersNeedingEnrichment(batchSize, afterUserId);
+
     if (users.length === 0) {
-      return { processed: 0, enriched: 0, hasMore: false };
+      return { ...countEnrichmentResults([]), lastUserId: afterUserId, hasMore: false };
     }
 
-    console.log(`Processing batch: ${users.length} users (offset: ${offset})`);
-
-    let enrichedCount = 0;
-    let processedCount = 0;
-
-    // Process users sequentially to avoid overwhelming the API
-    for (const user of users) {
-      try {
-        processedCount++;
-        const geolocationData = await fetchGeolocationData(user.ip_address);
-        
-        if (geolocationData) {
-          const success = await enrichUser(user.user_id, geolocationData);
-          if (success) {
-            enrichedCount++;
-          }
-        }
-
-        // Add a small delay between API calls to be respectful
-        await new Promise(resolve => setTimeout(resolve, 200));
-      } catch (error) {
-        console.error(`Error processing user ${user.user_id}:`, error.message);
-        // Continue with next user
-      }
-    }
+    logger.info('Processing batch', { users: users.length, afterUserId });
+
+    const options = { dryRun, cacheValidFrom: cacheValidFrom ?? await getCacheValidFrom() };
+    const results = await mapWithConcurrency(users, config.ENRICHMENT_CONCURRENCY,
+      user => logger.withContext({ userId: user.user_id }, () => resolveUser(user, options)));
+    await writeEnrichmentResults(results, dryRun);
 
-    console.log(`Batch complete: ${processedCount} processed, ${enrichedCount} enriched`);
+    const stats = countEnrichmentResults(results);
+    logger.info('Batch complete', stats);
 
     return {
-      processed: processedCount,
-      enriched: enrichedCount,
+      ...stats,
+      lastUserId: users[users.length - 1].user_id,
       hasMore: users.length === batchSize, // If we got a full batch, there might be more
     };
   } catch (error) {
-    console.error('Error processing enrichment batch:', error);
+    logger.error('Error processing enrichment batch', { afterUserId, error });
     throw error;
   }
 }
 
+/**
+ * Write the row updates and user.enriched events of resolveUser results in one
+ * batched call, then count the outcomes in the enrichment metrics
+ * @param {Array<Object>} results - Results of resolveUser
+ * @param {Object|null} dryRun - Dry-run report to record the updates in instead
+ *   (the outcomes are then left out of the metrics)
+ */
+async function writeEnrichmentResults(results, dryRun) {
+  const updates = results.map(result => result.update);
+  const outbox = createOutboxRows('user.enriched', results.filter(result => result.event).map(result => result.event), { dryRun });
+  if (dryRun) {
+    dryRun.enrichment.push(...updates);
+    return;
+  }
+
+  // The updates and their events are written in one transaction
+  await storage.applyEnrichmentUpdates(updates, { outbox });
+  countEmittedEvents(outbox);
+  for (const result of results) {
+    metrics.enrichmentUsers.inc({ outcome: result.outcome });
+  }
+}
+
+/**
+ * Enrich one user now, whatever its enrichment status, the way a batch does: the
+ * missing location columns are filled and the attempt is recorded on the row.
+ * Callers hold the enrichment job lock so the row isn't written by a run at the
+ * same time.
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report to record the update in instead
+ * @returns {Promise<{outcome: string, update: Object}>} outcome as for resolveUser;
+ *   update is the row update written
+ * @throws {Error} When the user doesn't exist
+ */
+async function enrichSingleUser(userId, { dryRun = null } = {}) {
+  const user = await storage.getUserForEnrichment(userId);
+  if (!user) {
+    throw new Error(`User not found: ${userId}`);
+  }
+
+  const cacheValidFrom = await getCacheValidFrom();
+  const result = await logger.withContext({ userId }, () => resolveUser(user, { dryRun, cacheValidFrom }));
+  await writeEnrichmentResults([result], dryRun);
+  return { outcome: result.outcome, update: result.update };
+}
+
+/**
+ * Count the outcomes and cache use of a batch of resolveUser results
+ * @param {Array<{outcome: string, cacheHit: boolean|null}>} results
+ * @returns {{processed: number, enriched: number, skipped: number, failed: number, unresolvable: number, cacheHits: number, cacheMisses: number}}
+ */
+function countEnrichmentResults(results) {
+  const count = predicate => results.filter(predicate).length;
+  return {
+    processed: results.length,
+    enriched: count(result => result.outcome === 'enriched'),
+    skipped: count(result => result.outcome === 'skipped'),
+    failed: count(result => result.outcome === 'failed'),
+    unresolvable: count(result => result.outcome === 'unresolvable'),
+    cacheHits: count(result => result.cacheHit === true),
+    cacheMisses: count(result => result.cacheHit === false),
+  };
+}
+
+/**
+ * Score the users settled by an enrichment run. Failures are logged, not thrown:
+ * the enrichment writes succeeded, and users left unscored are picked up by the
+ * next run.
+ * @param {Object|null} dryRun - Dry-run report of the run
+ * @returns {Promise<{scored: number, flagged: number}>} Zeros when scoring failed
+ */
+async function scoreRiskAfterRun(dryRun) {
+  try {
+    return await scoreRisk({ dryRun });
+  } catch (error) {
+    // scoreRisk has logged the error
+    logger.warn('Risk scoring failed, finishing the enrichment run without it');
+    return { scored: 0, flagged: 0 };
+  }
+}
+
 /**
  * Main enrichment orchestrator
- * Processes all users needing enrichment in batches until none remain
- * @returns {Promise<{totalProcessed: number, totalEnriched: number}>}
+ * Processes all users needing enrichment in batches until none remain.
+ * Batches are selected with keyset pagination on user_id, so users that drop out
+ * of the candidate filter after being processed don't shift later batches, and
+ * each eligible user is visited exactly once per run. Users whose location is
+ * settled are then given a risk score (see risk-scoring.js), and the dashboard
+ * rollups are refreshed.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Write nothing (not even the geolocation cache);
+ *   return (and log) a report of the intended row updates instead (default DRY_RUN)
+ * @returns {Promise<{totalProcessed: number, totalEnriched: number, totalSkipped: number, totalFailed: number, totalUnresolvable: number, cacheHits: number, cacheMisses: number, totalRiskScored: number, totalRiskFlagged: number, report?: Object}>}
+ *   report is only set for a dry run
  */
-async function enrichUsers() {
+async function enrichUsers({ dryRun = config.DRY_RUN } = {}) {
+  const report = dryRun ? createDryRunReport() : null;
+
   try {
-    console.log('Starting user enrichment...');
+    logger.info(dryRun ? 'Starting user enrichment (dry run)...' : 'Starting user enrichment...');
     const batchSize = config.ENRICHMENT_BATCH_SIZE;
-    let offset = 0;
-    let totalProcessed = 0;
-    let totalEnriched = 0;
+    const stats = countEnrichmentResults([]);
+    // Read once per run rather than on every cache lookup
+    const cacheValidFrom = await getCacheValidFrom();
+    let cursor = null;
     let hasMore = true;
 
     while (hasMore) {
-      const result = await processEnrichmentBatch(batchSize, offset);
-      
-      totalProcessed += result.processed;
-      totalEnriched += result.enriched;
+      const result = await processEnrichmentBatch(batchSize, cursor, { dryRun: report, cacheValidFrom });
+      for (const key of Object.keys(stats)) {
+        stats[key] += result[key];
+      }
+
       hasMore = result.hasMore;
-      offset += batchSize;
+      cursor = result.lastUserId;
 
       // If we got fewer users than the batch size, we're done
       if (result.processed < batchSize) {
@@ -253,14 +475,31 @@ async function enrichUsers() {
 
       // Small delay between batches
       if (hasMore) {
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await sleep(500);
       }
     }
 
-    console.log(`Enrichment complete: ${totalProcessed} users processed, ${totalEnriched} users enriched`);
-    return { totalProcessed, totalEnriched };
+    logger.info('Enrichment complete', stats);
+    const risk = config.RISK_SCORING_ENABLED ? await scoreRiskAfterRun(report) : { scored: 0, flagged: 0 };
+    await refreshRollupsAfterRun(report);
+    const totals = {
+      totalProcessed: stats.processed,
+      totalEnriched: stats.enriched,
+      totalSkipped: stats.skipped,
+      totalFailed: stats.failed,
+      totalUnresolvable: stats.unresolvable,
+      cacheHits: stats.cacheHits,
+      cacheMisses: stats.cacheMisses,
+      totalRiskScored: risk.scored,
+      totalRiskFlagged: risk.flagged,
+    };
+    if (report) {
+      logDryRunReport(report);
+      totals.report = report;
+    }
+    return totals;
   } catch (error) {
-    console.error('Enrichment error:', error);
+    logger.error('Enrichment error', { error });
     throw error;
   }
 }
@@ -269,7 +508,10 @@ module.exports = {
   enrichUsers,
   getUsersNeedingEnrichment,
   fetchGeolocationData,
-  enrichUser,
+  lookupGeolocation,
+  expireGeolocationCache,
+  enrichSingleUser,
   processEnrichmentBatch,
   isPrivateIP,
+  classifyIP,
 };
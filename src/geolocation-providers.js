@@ -0,0 +1,295 @@
+const config = require('./config');
+const { createRateLimiter } = require('./concurrency');
+const { createHttpClient } = require('./http-client');
+const metrics = require('./metrics');
+
+// A geolocation provider looks up one IP and normalises its response onto our
+// location columns:
+//   name                -> identifier stored in id_users.geolocation_provider
+//   lookup(ipAddress)   -> Promise<Object> raw provider payload (cached as-is)
+//   normalize(payload)  -> { country_name_official, state, city, ..., is_tor }
+//                          containing only the columns the provider had a value for
+// lookup throws on failure; errors carry `terminal: true` when retrying cannot help.
+
+// HTTP statuses that will never succeed on retry
+// (400: invalid IP, 404: unknown IP, 423: bogon/reserved IP)
+const TERMINAL_HTTP_STATUSES = [400, 404, 423];
+
+// Where each provider's payload keeps the value of a location column, as a dotted
+// path (array indexes included, e.g. subdivisions.0.names.en). GEOLOCATION_FIELD_MAPPING
+// overrides entries per provider; a null path drops the column.
+const DEFAULT_FIELD_MAPPINGS = {
+  // v2 ipgeo response; asn/company need a plan that includes them and security
+  // needs IP_GEOLOCATION_INCLUDE=security
+  ipgeolocation: {
+    country_name_official: 'location.country_name_official',
+    state: 'location.state_prov',
+    city: 'location.city',
+    district: 'location.district',
+    country_code: 'location.country_code2',
+    latitude: 'location.latitude',
+    longitude: 'location.longitude',
+    timezone: 'time_zone.name',
+    asn: 'asn.as_number',
+    isp: 'asn.organization',
+    organization: 'company.name',
+    is_vpn: 'security.is_vpn',
+    is_proxy: 'security.is_proxy',
+    is_tor: 'security.is_tor',
+  },
+  // ip-api has a single proxy flag covering VPNs, proxies and Tor
+  'ip-api': {
+    country_name_official: 'country',
+    state: 'regionName',
+    city: 'city',
+    district: 'district',
+    country_code: 'countryCode',
+    latitude: 'lat',
+    longitude: 'lon',
+    timezone: 'timezone',
+    asn: 'as',
+    isp: 'isp',
+    organization: 'org',
+    is_proxy: 'proxy',
+  },
+  // GeoLite2/GeoIP2 City; the traits are only present in Enterprise/Anonymous IP databases
+  maxmind: {
+    country_name_official: 'country.names.en',
+    state: 'subdivisions.0.names.en',
+    city: 'city.names.en',
+    country_code: 'country.iso_code',
+    latitude: 'location.latitude',
+    longitude: 'location.longitude',
+    timezone: 'location.time_zone',
+    asn: 'traits.autonomous_system_number',
+    isp: 'traits.isp',
+    organization: 'traits.organization',
+    is_vpn: 'traits.is_anonymous_vpn',
+    is_proxy: 'traits.is_public_proxy',
+    is_tor: 'traits.is_tor_exit_node',
+  },
+};
+
+// Converts a raw payload value to the column's type; undefined drops it
+const toText = value => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() || undefined : undefined);
+const toCoordinate = (value) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+};
+const toAsn = (value) => {
+  const match = /^(?:AS)?(\d+)/i.exec(String(value ?? '').trim());
+  return match ? Number(match[1]) : undefined;
+};
+const toFlag = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return undefined;
+};
+
+const COLUMN_CONVERTERS = {
+  latitude: toCoordinate,
+  longitude: toCoordinate,
+  asn: toAsn,
+  is_vpn: toFlag,
+  is_proxy: toFlag,
+  is_tor: toFlag,
+};
+
+function readPath(payload, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), payload);
+}
+
+/**
+ * Effective column -> path mapping of a provider (defaults plus GEOLOCATION_FIELD_MAPPING)
+ * @param {string} providerName
+ * @returns {Object} Column -> dotted path
+ */
+function fieldMapping(providerName) {
+  const mapping = { ...DEFAULT_FIELD_MAPPINGS[providerName], ...config.GEOLOCATION_FIELD_MAPPING[providerName] };
+  return Object.fromEntries(Object.entries(mapping).filter(([, path]) => path));
+}
+
+// Built once: normalising runs for every lookup and cache hit
+const FIELD_MAPPINGS = Object.fromEntries(Object.keys(DEFAULT_FIELD_MAPPINGS).map(name => [name, fieldMapping(name)]));
+
+/**
+ * Map a provider payload onto location columns, dropping empty and malformed values
+ * @param {Object} mapping - Column -> dotted path
+ * @param {Object} payload - Raw provider payload
+ * @returns {Object} Only the columns with a value
+ */
+function applyFieldMapping(mapping, payload) {
+  const result = {};
+  for (const [field, path] of Object.entries(mapping)) {
+    const value = (COLUMN_CONVERTERS[field] || toText)(readPath(payload, path));
+    if (value !== undefined) {
+      result[field] = value;
+    }
+  }
+  return result;
+}
+
+// Normalisers are keyed by provider name rather than attached to provider instances
+// so cached payloads can be read back even if a provider is no longer configured
+const NORMALIZERS = Object.fromEntries(Object.entries(FIELD_MAPPINGS)
+  .map(([name, mapping]) => [name, payload => applyFieldMapping(mapping, payload)]));
+
+/**
+ * Create the HTTP client for a provider: requests wait for a limiter allowing
+ * ENRICHMENT_REQUESTS_PER_SECOND (shared by all workers), and 429 (after Retry-After),
+ * 5xx and network errors are retried with exponential backoff up to
+ * GEOLOCATION_MAX_RETRIES times. Every attempt is counted in the geolocation API
+ * metric by provider and status code.
+ * @param {string} provider - Provider name
+ * @returns {Object} Client from createHttpClient
+ */
+function createProviderClient(provider) {
+  return createHttpClient({
+    name: provider,
+    timeoutMs: 10000, // 10 second timeout
+    maxRetries: config.GEOLOCATION_MAX_RETRIES,
+    rateLimiter: createRateLimiter(config.ENRICHMENT_REQUESTS_PER_SECOND),
+    onAttempt: status => metrics.geolocationRequests.inc({ provider, status }),
+  });
+}
+
+/**
+ * GET a JSON document from a provider
+ * @param {Object} client - Client from createProviderClient
+ * @param {string} url - URL to fetch
+ * @param {string} provider - Provider name, for log fields
+ * @param {string} ipAddress - IP being looked up, for log fields
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} With `terminal: true` when retrying cannot help
+ */
+async function getJson(client, url, provider, ipAddress) {
+  try {
+    const response = await client.get(url, { logFields: { provider, ip: ipAddress } });
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      const apiError = new Error(`API error: ${error.response.status} - ${error.response.statusText}`);
+      apiError.terminal = TERMINAL_HTTP_STATUSES.includes(error.response.status);
+      throw apiError;
+    }
+    if (error.request) {
+      throw new Error('Network error: No response from API');
+    }
+    throw error;
+  }
+}
+
+/**
+ * ipgeolocation.io (https://ipgeolocation.io) - paid, API key required
+ */
+function createIpGeolocationProvider() {
+  const client = createProviderClient('ipgeolocation');
+
+  return {
+    name: 'ipgeolocation',
+    lookup(ipAddress) {
+      const include = config.IP_GEOLOCATION_INCLUDE.length > 0 ? `&include=${config.IP_GEOLOCATION_INCLUDE.join(',')}` : '';
+      const url = `${config.IP_GEOLOCATION_API_URL}?apiKey=${config.IP_GEOLOCATION_API_KEY}&ip=${ipAddress}${include}`;
+      return getJson(client, url, 'ipgeolocation', ipAddress);
+    },
+    normalize: NORMALIZERS.ipgeolocation,
+  };
+}
+
+/**
+ * ip-api.com (https://ip-api.com) - free endpoint without a key, or the pro
+ * endpoint when IP_API_KEY is set. Answers 200 with status "fail" for bad IPs.
+ */
+function createIpApiProvider() {
+  const client = createProviderClient('ip-api');
+
+  return {
+    name: 'ip-api',
+    async lookup(ipAddress) {
+      // Only request the top-level fields the mapping reads
+      const mappedFields = Object.values(FIELD_MAPPINGS['ip-api']).map(path => path.split('.')[0]);
+      const params = new URLSearchParams({ fields: [...new Set(['status', 'message', ...mappedFields])].join(',') });
+      if (config.IP_API_KEY) {
+        params.set('key', config.IP_API_KEY);
+      }
+      const url = `${config.IP_API_URL}/${encodeURIComponent(ipAddress)}?${params}`;
+      const payload = await getJson(client, url, 'ip-api', ipAddress);
+
+      if (payload.status !== 'success') {
+        // "private range", "reserved range" and "invalid query" won't change on retry
+        const error = new Error(`API returned status ${payload.status}: ${payload.message}`);
+        error.terminal = true;
+        throw error;
+      }
+
+      return payload;
+    },
+    normalize: NORMALIZERS['ip-api'],
+  };
+}
+
+/**
+ * MaxMind GeoLite2/GeoIP2 City database (.mmdb) read from MAXMIND_DB_PATH.
+ * Offline, so there is no rate limit; the `maxmind` package is loaded lazily.
+ */
+function createMaxMindProvider() {
+  let readerPromise = null;
+
+  return {
+    name: 'maxmind',
+    async lookup(ipAddress) {
+      if (!readerPromise) {
+        const maxmind = require('maxmind');
+        readerPromise = maxmind.open(config.MAXMIND_DB_PATH);
+      }
+      const reader = await readerPromise;
+      const record = reader.get(ipAddress);
+
+      if (!record) {
+        const error = new Error('IP not found in MaxMind database');
+        error.terminal = true;
+        throw error;
+      }
+
+      return record;
+    },
+    normalize: NORMALIZERS.maxmind,
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  ipgeolocation: createIpGeolocationProvider,
+  'ip-api': createIpApiProvider,
+  maxmind: createMaxMindProvider,
+};
+
+/**
+ * Create the configured providers in fallback order (GEOLOCATION_PROVIDERS)
+ * @returns {Array<Object>} Provider instances
+ */
+function createProviders() {
+  return config.GEOLOCATION_PROVIDERS.map(name => {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown geolocation provider "${name}". Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+    return factory();
+  });
+}
+
+/**
+ * Normalise a stored payload from the named provider
+ * @param {string} providerName - Provider that produced the payload
+ * @param {Object} payload - Raw provider payload
+ * @returns {Object} Location columns (empty if the provider is unknown)
+ */
+function normalizePayload(providerName, payload) {
+  const normalize = NORMALIZERS[providerName];
+  return normalize ? normalize(payload) : {};
+}
+
+module.exports = {
+  createProviders,
+  normalizePayload,
+  PROVIDER_NAMES: Object.keys(PROVIDER_FACTORIES),
+};
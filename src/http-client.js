@@ -0,0 +1,205 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const axios = require('axios');
+const { sleep } = require('./concurrency');
+const logger = require('./logger');
+
+// Shared HTTP client for outbound APIs (the upstream users API, geolocation
+// providers). A client adds, on top of axios:
+//   - keep-alive connections (one agent pair shared by every client)
+//   - retries with exponential backoff for timeouts, network errors, 429 and 5xx
+//   - rate limiting through a createRateLimiter limiter, slowed down further by
+//     Retry-After and X-RateLimit-Remaining/-Reset response headers
+//   - request auth: a bearer token, or an HMAC signature header (see signRequest)
+// Requests that still fail throw the last axios error, so callers can inspect
+// error.response / error.request as with plain axios.
+
+const httpAgent = new http.Agent({ keepAlive: true });
+const httpsAgent = new https.Agent({ keepAlive: true });
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|undefined} header - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/unparseable
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Read the time until the rate limit window resets from X-RateLimit-* (or the
+ * draft-standard RateLimit-*) headers, when the server says no requests are left
+ * @param {Object} headers - Response headers (lower-case names)
+ * @returns {number|null} Delay in milliseconds, or null if requests remain / no headers
+ */
+function parseRateLimitReset(headers = {}) {
+  const remaining = headers['x-ratelimit-remaining'] ?? headers['ratelimit-remaining'];
+  const reset = Number(headers['x-ratelimit-reset'] ?? headers['ratelimit-reset']);
+  if (remaining === undefined || Number(remaining) > 0 || !Number.isFinite(reset)) {
+    return null;
+  }
+
+  // Large values are a Unix timestamp, small ones seconds until the reset
+  return Math.max(0, reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000);
+}
+
+/**
+ * Sign a request for HMAC auth. The signed string is
+ * `<unix seconds>.<METHOD>.<path and query>.<body>` and the header value is
+ * `t=<unix seconds>,v1=<hex HMAC-SHA256>`, so the server can reject stale requests.
+ * @param {string} secret - Shared secret
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute request URL
+ * @param {string} body - Serialised request body ('' for none)
+ * @param {number} [timestamp] - Unix seconds (defaults to now)
+ * @returns {string} Header value
+ */
+function signRequest(secret, method, url, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const { pathname, search } = new URL(url);
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${pathname}${search}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function authHeaders(auth, method, url, body) {
+  if (!auth || auth.type === 'none') {
+    return {};
+  }
+  if (auth.type === 'bearer') {
+    return { Authorization: `Bearer ${auth.token}` };
+  }
+  if (auth.type === 'hmac') {
+    return { [auth.header || 'X-Signature']: signRequest(auth.secret, method, url, body) };
+  }
+  throw new Error(`Unknown auth type "${auth.type}"`);
+}
+
+/**
+ * Create an HTTP client
+ * @param {Object} options
+ * @param {string} options.name - Client name, for log fields
+ * @param {number} options.timeoutMs - Per-attempt timeout
+ * @param {number} [options.maxRetries=3] - Retries after the first attempt
+ * @param {number} [options.retryBaseMs=1000] - First backoff delay, doubled on every retry
+ * @param {number} [options.retryMaxMs=30000] - Backoff cap (Retry-After is honoured as sent)
+ * @param {Object} [options.rateLimiter] - Limiter from createRateLimiter, shared by all callers
+ * @param {Object} [options.auth] - { type: 'none' }, { type: 'bearer', token } or
+ *   { type: 'hmac', secret, header }
+ * @param {function(number|string): void} [options.onAttempt] - Called after every attempt
+ *   with the HTTP status, or 'network_error' when there was no response
+ * @param {function(number): void} [options.onRateLimitWait] - Called with the milliseconds
+ *   a request waited for the rate limiter
+ * @returns {{request: function(Object): Promise<Object>, get: function(string, Object=): Promise<Object>,
+ *   post: function(string, *, Object=): Promise<Object>}} Methods resolve with the axios response
+ */
+function createHttpClient({
+  name,
+  timeoutMs,
+  maxRetries = 3,
+  retryBaseMs = 1000,
+  retryMaxMs = 30000,
+  rateLimiter = null,
+  auth = null,
+  onAttempt = () => {},
+  onRateLimitWait = () => {},
+}) {
+  /**
+   * Make a request, retrying as described above
+   * @param {Object} request
+   * @param {string} [request.method='GET']
+   * @param {string} request.url - Absolute URL
+   * @param {*} [request.data] - Body; objects are sent as JSON
+   * @param {Object} [request.headers]
+   * @param {Object} [request.logFields] - Extra fields for retry log entries
+   * @param {function(number): void} [request.onRateLimitWait] - Called, on top of the
+   *   client's onRateLimitWait, for every wait of this request
+   * @returns {Promise<Object>} axios response
+   */
+  async function request({ method = 'GET', url, data, headers = {}, logFields = {}, onRateLimitWait: onRequestWait = () => {} }) {
+    // Serialise once so an HMAC signature covers exactly the bytes sent
+    const body = data === undefined ? '' : typeof data === 'string' ? data : JSON.stringify(data);
+    const contentType = data !== undefined && typeof data !== 'string' ? { 'Content-Type': 'application/json' } : {};
+
+    for (let attempt = 0; ; attempt++) {
+      if (rateLimiter) {
+        const waitedMs = await rateLimiter.acquire();
+        if (waitedMs > 0) {
+          onRateLimitWait(waitedMs);
+          onRequestWait(waitedMs);
+        }
+      }
+
+      try {
+        const response = await axios.request({
+          method,
+          url,
+          data: body || undefined,
+          headers: { ...contentType, ...headers, ...authHeaders(auth, method, url, body) },
+          timeout: timeoutMs,
+          httpAgent,
+          httpsAgent,
+        });
+
+        onAttempt(response.status);
+        holdBackFor(parseRateLimitReset(response.headers), logFields);
+        return response;
+      } catch (error) {
+        const status = error.response?.status;
+        onAttempt(status || 'network_error');
+        const retryable = !error.response || status === 429 || status >= 500;
+
+        if (!retryable || attempt >= maxRetries) {
+          throw error;
+        }
+
+        const backoffMs = Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+        const headers = error.response?.headers;
+        const serverDelayMs = status === 429 || status === 503
+          ? parseRetryAfter(headers?.['retry-after']) ?? parseRateLimitReset(headers)
+          : null;
+        const delayMs = serverDelayMs ?? backoffMs;
+
+        if (status === 429) {
+          // Hold back every caller of the limiter, not just this one
+          holdBackFor(delayMs, logFields);
+          logger.warn(`${name} rate limited (429), retrying in ${Math.ceil(delayMs / 1000)}s...`, { client: name, attempt: attempt + 1, ...logFields });
+        } else {
+          logger.warn(`${name} request failed (${status || error.code || 'no response'}), retrying in ${Math.ceil(delayMs / 1000)}s...`, { client: name, attempt: attempt + 1, ...logFields });
+        }
+
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  function holdBackFor(delayMs, logFields) {
+    if (delayMs === null || !rateLimiter) {
+      return;
+    }
+    logger.debug(`${name} rate limit reached, holding requests for ${Math.ceil(delayMs / 1000)}s`, { client: name, ...logFields });
+    rateLimiter.pauseUntil(Date.now() + delayMs);
+  }
+
+  return {
+    request,
+    get: (url, options = {}) => request({ ...options, method: 'GET', url }),
+    post: (url, data, options = {}) => request({ ...options, method: 'POST', url, data }),
+  };
+}
+
+module.exports = {
+  createHttpClient,
+  signRequest,
+  parseRetryAfter,
+};
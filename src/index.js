@@ -1,51 +1,125 @@
-const cron = require('node-cron');
-const { syncUsers } = require('./sync');
 const config = require('./config');
+const logger = require('./logger');
 
-// Validate required environment variables
-if (!config.SUPABASE_URL || !config.SUPABASE_KEY) {
-  console.error('ERROR: SUPABASE_URL and SUPABASE_KEY must be set in environment variables!');
-  console.error('Please add them to your .env file.');
+// Fail fast, listing every configuration problem at once. This runs before the
+// other modules load because storage picks (and connects) its backend on require.
+try {
+  config.validateConfig('sync');
+} catch (error) {
+  logger.error('Invalid configuration, not starting', { errors: error.errors });
   process.exit(1);
 }
 
-console.log('Supabase User Sync Service starting...');
-console.log(`Sync interval: ${config.SYNC_INTERVAL_MINUTES} minutes`);
+const cron = require('node-cron');
+const { syncUsers } = require('./sync');
+const { reconcileUsers } = require('./reconciliation');
+const { getCheckpoint, getFullSyncProgress } = require('./checkpoint');
+const { releaseAllLocks } = require('./job-lock');
+const { createJob } = require('./job-runner');
+const { startAdminServer } = require('./admin-server');
+const { evaluateAlerts } = require('./alerts');
+const { deliverEvents } = require('./outbox');
+const { countOutboxEvents } = require('./storage');
+
+logger.info('Supabase User Sync Service starting...', { syncCron: config.SYNC_CRON, timezone: config.CRON_TIMEZONE || 'local' });
+logger.info('Configuration', config.describeConfig());
+if (config.UPSTREAM_AUTH === 'bearer' && config.API_BASE_URL.startsWith('http:')) {
+  logger.warn('UPSTREAM_AUTH=bearer sends the token unencrypted to an http:// API_BASE_URL; use https or UPSTREAM_AUTH=hmac');
+}
+
+// Alert rules are checked after every run, failed ones included. A dry run skips
+// them, since evaluating them saves alert state and the last successful runs.
+const afterRun = config.DRY_RUN ? null : evaluateAlerts;
+const syncJob = createJob('sync', syncUsers, { afterRun });
+const reconciliationJob = createJob('reconciliation', reconcileUsers, { afterRun });
+// Webhook events from both services are delivered from here (see outbox.js). A dry
+// run has no delivery job: delivering sends the events and updates their outbox rows.
+const webhooksEnabled = !config.DRY_RUN && config.WEBHOOK_ENDPOINTS.length > 0 && Boolean(config.WEBHOOK_DELIVERY_CRON);
+const webhookJob = config.DRY_RUN ? null : createJob('webhooks', deliverEvents);
+
+startAdminServer({
+  service: 'user-sync-service',
+  port: config.SYNC_ADMIN_PORT,
+  jobs: [syncJob, reconciliationJob, webhookJob].filter(Boolean),
+  getStatus: async () => ({
+    checkpoint: await getCheckpoint(),
+    fullSyncProgress: await getFullSyncProgress(),
+    ...(webhooksEnabled ? { outbox: await countOutboxEvents() } : {}),
+  }),
+});
 
 // Run initial sync immediately on startup
-syncUsers()
-  .then(() => {
-    console.log('Initial sync completed successfully.');
+syncJob.run('startup')
+  .then(({ skipped, runId, result }) => {
+    if (!skipped) {
+      logger.info('Initial sync completed successfully.', { job: 'sync', runId, ...result });
+    }
   })
   .catch((error) => {
-    console.error('Initial sync failed:', error.message);
+    logger.error('Initial sync failed', { job: 'sync', error });
     // Continue anyway - cron will retry
   });
 
-// Schedule incremental syncs every N minutes
-const cronExpression = `*/${config.SYNC_INTERVAL_MINUTES} * * * *`;
-console.log(`Scheduling syncs with cron expression: ${cronExpression}`);
+// Cron expressions are evaluated in CRON_TIMEZONE (the server's local time when unset)
+const scheduleOptions = { timezone: config.CRON_TIMEZONE || undefined };
 
-cron.schedule(cronExpression, async () => {
-  console.log(`\n[${new Date().toISOString()}] Scheduled sync starting...`);
+// Schedule incremental syncs (SYNC_CRON, or derived from SYNC_INTERVAL_MINUTES)
+logger.info('Scheduling syncs', { cron: config.SYNC_CRON });
+
+cron.schedule(config.SYNC_CRON, async () => {
+  logger.info('Scheduled sync starting...', { job: 'sync' });
   try {
-    await syncUsers();
-    console.log(`[${new Date().toISOString()}] Scheduled sync completed successfully.`);
+    const { skipped, runId, result } = await syncJob.run('cron');
+    if (!skipped) {
+      logger.info('Scheduled sync completed successfully.', { job: 'sync', runId, ...result });
+    }
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Scheduled sync failed:`, error.message);
+    logger.error('Scheduled sync failed', { job: 'sync', error });
     // Don't throw - allow cron to continue scheduling
   }
-});
+}, scheduleOptions);
 
-console.log('Service is running. Press Ctrl+C to stop.');
+// Schedule the low-rate reconciliation pass (disabled when RECONCILIATION_CRON is empty)
+if (config.RECONCILIATION_CRON) {
+  logger.info('Scheduling reconciliation', { cron: config.RECONCILIATION_CRON });
+
+  cron.schedule(config.RECONCILIATION_CRON, async () => {
+    logger.info('Scheduled reconciliation starting...', { job: 'reconciliation' });
+    try {
+      const { skipped, runId } = await reconciliationJob.run('cron');
+      if (!skipped) {
+        logger.info('Scheduled reconciliation completed.', { job: 'reconciliation', runId });
+      }
+    } catch (error) {
+      logger.error('Scheduled reconciliation failed', { job: 'reconciliation', error });
+      // Don't throw - allow cron to continue scheduling
+    }
+  }, scheduleOptions);
+}
+
+// Deliver pending webhook events (disabled without WEBHOOK_ENDPOINTS or when
+// WEBHOOK_DELIVERY_CRON is empty)
+if (webhooksEnabled) {
+  logger.info('Scheduling webhook delivery', { cron: config.WEBHOOK_DELIVERY_CRON, endpoints: config.WEBHOOK_ENDPOINTS.length });
+
+  cron.schedule(config.WEBHOOK_DELIVERY_CRON, async () => {
+    try {
+      await webhookJob.run('cron');
+    } catch (error) {
+      logger.error('Scheduled webhook delivery failed', { job: 'webhooks', error });
+      // Don't throw - allow cron to continue scheduling
+    }
+  }, scheduleOptions);
+}
+
+logger.info('Service is running. Press Ctrl+C to stop.');
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\nShutting down gracefully...');
+async function shutdown() {
+  logger.info('Shutting down gracefully...');
+  await releaseAllLocks();
   process.exit(0);
-});
+}
 
-process.on('SIGTERM', () => {
-  console.log('\nShutting down gracefully...');
-  process.exit(0);
-});
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,212 @@
+const net = require('net');
+
+// Special-purpose ranges that must never be sent to the geolocation API.
+// Order matters: the first matching range determines the reported reason.
+const IPV4_SPECIAL_RANGES = [
+  ['0.0.0.0/8', 'unspecified'],
+  ['10.0.0.0/8', 'private'],
+  ['100.64.0.0/10', 'cgnat'],
+  ['127.0.0.0/8', 'loopback'],
+  ['169.254.0.0/16', 'link-local'],
+  ['172.16.0.0/12', 'private'],
+  ['192.0.0.0/24', 'reserved'],
+  ['192.0.2.0/24', 'documentation'],
+  ['192.168.0.0/16', 'private'],
+  ['198.18.0.0/15', 'benchmarking'],
+  ['198.51.100.0/24', 'documentation'],
+  ['203.0.113.0/24', 'documentation'],
+  ['224.0.0.0/4', 'multicast'],
+  ['255.255.255.255/32', 'broadcast'],
+  ['240.0.0.0/4', 'reserved'],
+];
+
+const IPV6_SPECIAL_RANGES = [
+  ['::/128', 'unspecified'],
+  ['::1/128', 'loopback'],
+  ['100::/64', 'discard'],
+  ['2001:db8::/32', 'documentation'],
+  ['3fff::/20', 'documentation'],
+  ['fc00::/7', 'unique-local'],
+  ['fe80::/10', 'link-local'],
+  ['fec0::/10', 'site-local'],
+  ['ff00::/8', 'multicast'],
+];
+
+// IPv6 prefixes that embed an IPv4 address in their last 32 bits
+const IPV6_EMBEDDED_IPV4_PREFIXES = [
+  '::ffff:0:0/96', // IPv4-mapped
+  '64:ff9b::/96', // NAT64 well-known prefix
+];
+
+// Everything outside 2000::/3 is not global unicast
+const IPV6_GLOBAL_UNICAST = '2000::/3';
+
+/**
+ * Parse an IPv4 address into an unsigned 32-bit integer (as a BigInt)
+ * @param {string} ip - Dotted-quad IPv4 address (already validated)
+ * @returns {bigint}
+ */
+function ipv4ToBigInt(ip) {
+  return ip.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n);
+}
+
+/**
+ * Parse an IPv6 address into an unsigned 128-bit integer
+ * @param {string} ip - IPv6 address without zone ID (already validated)
+ * @returns {bigint}
+ */
+function ipv6ToBigInt(ip) {
+  let address = ip;
+
+  // Trailing dotted-quad (e.g. ::ffff:1.2.3.4) becomes two hextets
+  const dotted = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const v4 = ipv4ToBigInt(dotted[2]);
+    address = `${dotted[1]}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+
+  const [head, tail] = address.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const missing = address.includes('::') ? 8 - headParts.length - tailParts.length : 0;
+  const hextets = [...headParts, ...Array(missing).fill('0'), ...tailParts];
+
+  return hextets.reduce((acc, hextet) => (acc << 16n) + BigInt(parseInt(hextet, 16)), 0n);
+}
+
+function bigIntToIPv4(value) {
+  return [24n, 16n, 8n, 0n].map(shift => ((value >> shift) & 0xffn).toString()).join('.');
+}
+
+/**
+ * Format a 128-bit integer as an IPv6 address in canonical form (RFC 5952: the
+ * longest run of two or more zero hextets is shortened to ::, as Postgres prints it)
+ * @param {bigint} value
+ * @returns {string}
+ */
+function bigIntToIPv6(value) {
+  const hextets = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    hextets.push(Number((value >> shift) & 0xffffn));
+  }
+
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let start = 0; start < hextets.length; start++) {
+    let length = 0;
+    while (hextets[start + length] === 0) {
+      length++;
+    }
+    if (length > bestLength) {
+      bestStart = start;
+      bestLength = length;
+    }
+  }
+
+  const text = hextets.map(hextet => hextet.toString(16));
+  if (bestStart === -1) {
+    return text.join(':');
+  }
+  return `${text.slice(0, bestStart).join(':')}::${text.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * Check whether a parsed address falls in a CIDR range of the same family
+ * @param {bigint} value - Parsed address
+ * @param {string} cidr - Range such as '10.0.0.0/8' or 'fc00::/7'
+ * @param {number} family - 4 or 6
+ * @returns {boolean}
+ */
+function inRange(value, cidr, family) {
+  const [base, prefixLength] = cidr.split('/');
+  const bits = family === 4 ? 32n : 128n;
+  const hostBits = bits - BigInt(prefixLength);
+  const baseValue = family === 4 ? ipv4ToBigInt(base) : ipv6ToBigInt(base);
+  return (value >> hostBits) === (baseValue >> hostBits);
+}
+
+function classifyIPv4(address) {
+  const value = ipv4ToBigInt(address);
+  const match = IPV4_SPECIAL_RANGES.find(([cidr]) => inRange(value, cidr, 4));
+  return {
+    address,
+    family: 4,
+    public: !match,
+    reason: match ? match[1] : null,
+  };
+}
+
+function classifyIPv6(address) {
+  const value = ipv6ToBigInt(address);
+
+  const embeddedPrefix = IPV6_EMBEDDED_IPV4_PREFIXES.find(cidr => inRange(value, cidr, 6));
+  if (embeddedPrefix) {
+    // Classify (and look up) the embedded IPv4 address instead
+    return classifyIPv4(bigIntToIPv4(value & 0xffffffffn));
+  }
+
+  const match = IPV6_SPECIAL_RANGES.find(([cidr]) => inRange(value, cidr, 6));
+  let reason = match ? match[1] : null;
+  if (!reason && !inRange(value, IPV6_GLOBAL_UNICAST, 6)) {
+    reason = 'reserved';
+  }
+
+  return {
+    // Canonical form, so one address is one geolocation cache key however it was written
+    address: bigIntToIPv6(value),
+    family: 6,
+    public: !reason,
+    reason,
+  };
+}
+
+/**
+ * Classify an IP address string.
+ * Handles IPv4, IPv6 (including zone IDs and IPv4-mapped/NAT64 forms) and
+ * reports why an address is not suitable for a public geolocation lookup.
+ * @param {string} ip - Raw IP address as stored on the user
+ * @returns {{address: string|null, family: number|null, public: boolean, reason: string|null}}
+ *   `address` is the normalised address to look up (embedded IPv4 is unwrapped),
+ *   `reason` is null for public addresses, otherwise one of 'missing', 'invalid',
+ *   'private', 'loopback', 'link-local', 'cgnat', 'multicast', 'unique-local', etc.
+ */
+function classifyIP(ip) {
+  if (ip === null || ip === undefined || String(ip).trim() === '') {
+    return { address: null, family: null, public: false, reason: 'missing' };
+  }
+
+  // Strip surrounding whitespace, brackets ([::1]) and IPv6 zone IDs (fe80::1%eth0)
+  const address = String(ip).trim().replace(/^\[(.*)\]$/, '$1').replace(/%.*$/, '');
+
+  switch (net.isIP(address)) {
+    case 4:
+      return classifyIPv4(address);
+    case 6:
+      return classifyIPv6(address.toLowerCase());
+    default:
+      return { address: null, family: null, public: false, reason: 'invalid' };
+  }
+}
+
+/**
+ * Subnet an IP address belongs to, for grouping signups: /24 for IPv4, /48 for
+ * IPv6. Stored as id_users.ip_subnet, which the shared_subnet risk signal compares
+ * @param {string} ip - Raw IP address as stored on the user
+ * @returns {string|null} Network in CIDR notation, e.g. '203.0.113.0/24' or
+ *   '2001:db8:1::/48'; null when the address is missing or invalid
+ */
+function ipSubnet(ip) {
+  const { address, family } = classifyIP(ip);
+  if (family === 4) {
+    return `${bigIntToIPv4(ipv4ToBigInt(address) & 0xffffff00n)}/24`;
+  }
+  if (family === 6) {
+    return `${bigIntToIPv6(ipv6ToBigInt(address) & (0xffffffffffffn << 80n))}/48`;
+  }
+  return null;
+}
+
+module.exports = {
+  classifyIP,
+  ipSubnet,
+};
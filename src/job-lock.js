@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const os = require('os');
+const config = require('./config');
+const logger = require('./logger');
+const storage = require('./storage');
+
+// Identifies this process as a lock holder
+const OWNER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Jobs currently running in this process: name -> heartbeat timer
+const heldLocks = new Map();
+
+/**
+ * Run a job while holding its lock, unless another run already holds it.
+ * Guards against overlap both within this process (startup run vs. cron tick) and
+ * across processes via a lease in storage. The lease is renewed periodically while
+ * the job runs; if the process dies, it expires after JOB_LOCK_TTL_SECONDS and the
+ * next run takes it over.
+ * @param {string} jobName - Lock name, e.g. 'sync' or 'enrichment'
+ * @param {function(): Promise<*>} job - The job to run
+ * @returns {Promise<{skipped: boolean, result?: *}>} skipped is true when the lock was busy
+ */
+async function runExclusive(jobName, job) {
+  if (heldLocks.has(jobName)) {
+    logger.info(`Skipping ${jobName}: previous run in this process is still in progress.`, { job: jobName });
+    return { skipped: true };
+  }
+
+  const ttlMs = config.JOB_LOCK_TTL_SECONDS * 1000;
+  // Reserve the name before the first await so a concurrent call can't slip in
+  heldLocks.set(jobName, null);
+
+  let lock;
+  try {
+    lock = await storage.acquireLock(jobName, OWNER_ID, ttlMs);
+  } catch (error) {
+    heldLocks.delete(jobName);
+    throw error;
+  }
+
+  if (!lock.acquired) {
+    heldLocks.delete(jobName);
+    logger.info(`Skipping ${jobName}: lock is held by another instance.`, {
+      job: jobName,
+      holder: lock.holder?.owner,
+      expiresAt: lock.holder?.expires_at,
+    });
+    return { skipped: true };
+  }
+
+  if (lock.recovered) {
+    logger.warn(`Recovered stale ${jobName} lock left by a crashed run.`, { job: jobName });
+  }
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await storage.renewLock(jobName, OWNER_ID, ttlMs))) {
+        logger.error(`Lost ${jobName} lock while running - another instance may have taken over.`, { job: jobName });
+      }
+    } catch (error) {
+      logger.error(`Error renewing ${jobName} lock`, { job: jobName, error });
+    }
+  }, Math.max(1000, ttlMs / 3));
+  heartbeat.unref();
+  heldLocks.set(jobName, heartbeat);
+
+  try {
+    return { skipped: false, result: await job() };
+  } finally {
+    clearInterval(heartbeat);
+    heldLocks.delete(jobName);
+    try {
+      await storage.releaseLock(jobName, OWNER_ID);
+    } catch (error) {
+      logger.error(`Error releasing ${jobName} lock`, { job: jobName, error });
+    }
+  }
+}
+
+/**
+ * Release every lock held by this process (call on shutdown so other instances
+ * don't have to wait for the lease to expire)
+ * @returns {Promise<void>}
+ */
+async function releaseAllLocks() {
+  const names = [...heldLocks.keys()];
+  for (const [name, heartbeat] of heldLocks) {
+    clearInterval(heartbeat);
+    heldLocks.delete(name);
+  }
+
+  await Promise.all(names.map(name => storage.releaseLock(name, OWNER_ID).catch(error => {
+    logger.error(`Error releasing ${name} lock`, { job: name, error });
+  })));
+}
+
+module.exports = {
+  runExclusive,
+  releaseAllLocks,
+};
@@ -0,0 +1,116 @@
+const { runExclusive } = require('./job-lock');
+const metrics = require('./metrics');
+const logger = require('./logger');
+
+/**
+ * Wrap a job so its runs are exclusive (see runExclusive), can be paused, and
+ * leave a record of the last run for the admin API and the run metrics. Everything
+ * logged during a run carries its job name, trigger and a fresh runId.
+ * @param {string} name - Job/lock name, e.g. 'sync'
+ * @param {function(): Promise<*>} fn - The job itself
+ * @param {Object} [options]
+ * @param {function(Object): Promise<*>} [options.afterRun] - Called after every run that
+ *   was not skipped with { job, trigger, runId, status, result, error }, once the lock is
+ *   released (e.g. evaluateAlerts); its errors are logged, never thrown
+ * @returns {Object} Job with run(trigger), pause(), resume() and getStatus()
+ */
+function createJob(name, fn, { afterRun = null } = {}) {
+  let paused = false;
+  let running = false;
+  let lastRun = null;
+
+  async function callAfterRun(trigger, runId, status, result, error) {
+    if (!afterRun) {
+      return;
+    }
+    try {
+      await afterRun({ job: name, trigger, runId, status, result, error });
+    } catch (hookError) {
+      logger.error('Error in after-run hook', { job: name, error: hookError });
+    }
+  }
+
+  async function runOnce(trigger, runId) {
+    const startedAt = new Date();
+    let outcome;
+    try {
+      outcome = await runExclusive(name, async () => {
+        running = true;
+        try {
+          return await fn();
+        } catch (error) {
+          lastRun = {
+            runId,
+            trigger,
+            status: 'failed',
+            startedAt: startedAt.toISOString(),
+            finishedAt: new Date().toISOString(),
+            durationMs: Date.now() - startedAt.getTime(),
+            result: null,
+            error: error.message,
+          };
+          metrics.observeJobRun(name, 'failed', lastRun.durationMs);
+          throw error;
+        } finally {
+          running = false;
+        }
+      });
+    } catch (error) {
+      await callAfterRun(trigger, runId, 'failed', null, error);
+      throw error;
+    }
+
+    if (!outcome.skipped) {
+      lastRun = {
+        runId,
+        trigger,
+        status: 'succeeded',
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        result: outcome.result ?? null,
+        error: null,
+      };
+      metrics.observeJobRun(name, 'succeeded', lastRun.durationMs);
+      await callAfterRun(trigger, runId, 'succeeded', lastRun.result, null);
+    }
+
+    return { ...outcome, runId };
+  }
+
+  return {
+    name,
+
+    /**
+     * Run the job now
+     * @param {string} trigger - What started the run: 'startup', 'cron' or 'manual'
+     * @returns {Promise<{skipped: boolean, result?: *, runId?: string}>} skipped when
+     *   paused or already running
+     */
+    async run(trigger) {
+      if (paused && trigger !== 'manual') {
+        logger.info(`Skipping ${name}: schedule is paused.`, { job: name, trigger });
+        return { skipped: true };
+      }
+
+      const runId = logger.createRunId();
+      return logger.withContext({ job: name, trigger, runId }, () => runOnce(trigger, runId));
+    },
+
+    pause() {
+      paused = true;
+    },
+
+    resume() {
+      paused = false;
+    },
+
+    getStatus() {
+      return { name, paused, running, lastRun };
+    },
+  };
+}
+
+module.exports = {
+  createJob,
+};
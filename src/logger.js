@@ -0,0 +1,123 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const config = require('./config');
+
+// Shared logger. Each entry is one line: a JSON object with time, level, msg,
+// the active context (runId, job, ...) and the entry's own fields, or a readable
+// text line when LOG_FORMAT=text. warn/error go to stderr, the rest to stdout.
+// Secrets are redacted from messages, field values and error messages.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[config.LOG_LEVEL] ?? LEVELS.info;
+
+const contextStorage = new AsyncLocalStorage();
+
+// Query params and field names whose values must never reach the logs
+const SECRET_QUERY_PARAM = /([?&](?:api_?key|key|token|access_token|password)=)[^&\s"']+/gi;
+const SECRET_FIELD = /api_?key|token|secret|password|authorization|(^|_)key$/i;
+const REDACTED = '[REDACTED]';
+
+/**
+ * Redact secret query params from a string
+ * @param {string} text - Message, URL or error message
+ * @returns {string}
+ */
+function redact(text) {
+  return String(text).replace(SECRET_QUERY_PARAM, `$1${REDACTED}`);
+}
+
+function serializeError(error) {
+  const serialized = { message: redact(error.message) };
+  if (error.code) {
+    serialized.code = error.code;
+  }
+  if (error.response?.status) {
+    serialized.status = error.response.status;
+  }
+  if (minLevel <= LEVELS.debug && error.stack) {
+    serialized.stack = redact(error.stack);
+  }
+  return serialized;
+}
+
+// Nested objects are copied in full (dry-run and reconciliation reports go deep);
+// only a reference back to an enclosing object is cut, to '[Circular]'.
+function sanitize(value, ancestors = new Set()) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (typeof value === 'string') {
+    return redact(value);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (ancestors.has(value)) {
+    return '[Circular]';
+  }
+
+  ancestors.add(value);
+  let result;
+  if (Array.isArray(value)) {
+    result = value.map(item => sanitize(item, ancestors));
+  } else {
+    result = {};
+    for (const [key, fieldValue] of Object.entries(value)) {
+      result[key] = SECRET_FIELD.test(key) && fieldValue ? REDACTED : sanitize(fieldValue, ancestors);
+    }
+  }
+  ancestors.delete(value);
+  return result;
+}
+
+function formatText(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const pairs = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  return [time, level.toUpperCase().padEnd(5), msg, ...pairs].join(' ');
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < minLevel) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redact(message),
+    ...sanitize({ ...contextStorage.getStore(), ...fields }),
+  };
+  const line = config.LOG_FORMAT === 'text' ? formatText(entry) : JSON.stringify(entry);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Run fn with extra context fields attached to every entry logged inside it
+ * (including from nested async calls)
+ * @param {Object} fields - Context fields, e.g. { runId, job } or { userId }
+ * @param {function(): *} fn
+ * @returns {*} fn's result
+ */
+function withContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+/**
+ * Create a correlation ID for one job run
+ * @returns {string}
+ */
+function createRunId() {
+  return crypto.randomUUID();
+}
+
+module.exports = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  withContext,
+  createRunId,
+  redact,
+};
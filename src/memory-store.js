@@ -0,0 +1,547 @@
+const { toDbUser, LOCATION_FIELDS, ENRICHED_FIELDS, SYNCED_FIELDS, ENRICHMENT_STATUS } = require('./users');
+
+// In-process storage backend. Mirrors the Supabase tables closely enough to run
+// the sync and enrichment services locally or in tests without a live project.
+// Nothing is persisted: state is lost when the process exits.
+
+const syncState = new Map(); // id_sync_state: key -> { key, value, updated_at }
+const users = new Map(); // id_users: user_id -> row
+const geolocationCache = new Map(); // id_ip_geolocation_cache: ip_address -> row
+const userChanges = []; // id_user_changes rows
+const quarantinedUsers = new Map(); // id_user_quarantine: payload_hash -> row
+const reconciliationReports = []; // id_reconciliation_reports rows
+const rollups = { // id_signups_daily / _by_location / _by_identifier_type: key -> row
+  daily: new Map(),
+  byLocation: new Map(),
+  byIdentifierType: new Map(),
+};
+const outboxEvents = new Map(); // id_event_outbox: id -> row
+let nextOutboxId = 1;
+const jobLocks = new Map(); // id_job_locks: name -> { name, owner, acquired_at, expires_at }
+
+async function getSyncState(key) {
+  return syncState.get(key)?.value || null;
+}
+
+async function setSyncState(entries) {
+  const updatedAt = new Date().toISOString();
+  for (const [key, value] of Object.entries(entries)) {
+    syncState.set(key, { key, value, updated_at: updatedAt });
+  }
+}
+
+async function deleteSyncState(key) {
+  syncState.delete(key);
+}
+
+async function insertUsers(newUsers, { dryRun = null, outbox = [] } = {}) {
+  if (!newUsers || newUsers.length === 0) {
+    return [];
+  }
+
+  const ingestedAt = new Date().toISOString();
+  // Like `on conflict do nothing`, a user_id repeated within the batch is only
+  // inserted once, from its first row
+  const newRows = newUsers.map(user => toDbUser(user, ingestedAt))
+    .filter((row, i, rows) => !users.has(row.user_id) && rows.findIndex(other => other.user_id === row.user_id) === i);
+  if (dryRun) {
+    dryRun.inserts.push(...newRows);
+    return newRows;
+  }
+
+  // Same semantics as the Supabase upsert with ignoreDuplicates
+  for (const row of newRows) {
+    users.set(row.user_id, row);
+  }
+  // Events of the users inserted carry the stored row (see id_insert_users)
+  await insertOutboxEvents(outbox
+    .filter(row => newRows.some(newRow => newRow.user_id === row.user_id))
+    .map(row => ({ ...row, payload: { ...row.payload, data: { ...row.payload.data, user: users.get(row.user_id) } } })));
+
+  return newRows;
+}
+
+async function getUsersByIds(userIds) {
+  return userIds
+    .filter(userId => users.has(userId))
+    .map(userId => ({ user_id: userId, ...pick(users.get(userId), SYNCED_FIELDS) }));
+}
+
+async function listUserIds(batchSize, afterUserId = null) {
+  return [...users.keys()]
+    .filter(userId => !afterUserId || userId > afterUserId)
+    .sort()
+    .slice(0, batchSize);
+}
+
+async function insertQuarantinedUsers(records) {
+  for (const record of records) {
+    if (!quarantinedUsers.has(record.payload_hash)) {
+      quarantinedUsers.set(record.payload_hash, { ...record });
+    }
+  }
+}
+
+function needsEnrichment(user, now = Date.now()) {
+  return !isNull(user.ip_address)
+    && (user.enrichment_status === ENRICHMENT_STATUS.BACKFILL
+      || ((!user.enrichment_status || user.enrichment_status === ENRICHMENT_STATUS.RETRY)
+        && LOCATION_FIELDS.some(field => isNull(user[field]))))
+    && (!user.enrichment_next_attempt_at || new Date(user.enrichment_next_attempt_at).getTime() <= now);
+}
+
+async function getUsersNeedingEnrichment(batchSize, afterUserId = null) {
+  const now = Date.now();
+  const candidates = [...users.values()]
+    .filter(user => needsEnrichment(user, now))
+    .filter(user => !afterUserId || user.user_id > afterUserId)
+    .sort((a, b) => (a.user_id < b.user_id ? -1 : a.user_id > b.user_id ? 1 : 0));
+
+  return candidates.slice(0, batchSize).map(toEnrichmentCandidate);
+}
+
+function toEnrichmentCandidate(user) {
+  return {
+    user_id: user.user_id,
+    ip_address: user.ip_address,
+    ...pick(user, ENRICHED_FIELDS),
+    enrichment_status: user.enrichment_status || null,
+    enrichment_attempts: user.enrichment_attempts || 0,
+  };
+}
+
+async function countUsersNeedingEnrichment() {
+  const now = Date.now();
+  return [...users.values()].filter(user => needsEnrichment(user, now)).length;
+}
+
+async function getUserForEnrichment(userId) {
+  const user = users.get(userId);
+  return user ? toEnrichmentCandidate(user) : null;
+}
+
+async function getUserLocation(userId) {
+  const user = users.get(userId);
+  if (!user) {
+    throw new Error(`User ${userId} not found`);
+  }
+
+  return pick(user, ENRICHED_FIELDS);
+}
+
+async function updateUser(userId, updates, { change = null, outbox = [] } = {}) {
+  const user = users.get(userId);
+  if (user) {
+    Object.assign(user, updates);
+  }
+  if (change) {
+    userChanges.push(change);
+  }
+  await insertOutboxEvents(outbox);
+}
+
+// Overwritten by every enrichment update, with null when an update leaves one out
+const ENRICHMENT_ATTEMPT_FIELDS = [
+  'enrichment_status',
+  'enrichment_attempts',
+  'enrichment_last_attempt_at',
+  'enrichment_next_attempt_at',
+  'enrichment_last_error',
+];
+
+// Same semantics as id_apply_enrichment_updates (migration 013)
+async function applyEnrichmentUpdates(updates, { outbox = [] } = {}) {
+  for (const { user_id: userId, ...fields } of updates || []) {
+    const user = users.get(userId);
+    if (!user) {
+      continue;
+    }
+
+    // coalesce(stored, new): location columns are only filled while null
+    for (const field of ENRICHED_FIELDS) {
+      user[field] = user[field] ?? fields[field] ?? null;
+    }
+    // coalesce(new, stored): the provider and payload are kept when an update has none
+    for (const field of ['geolocation_provider', 'geolocation_payload']) {
+      user[field] = fields[field] ?? user[field] ?? null;
+    }
+    for (const field of ENRICHMENT_ATTEMPT_FIELDS) {
+      user[field] = fields[field] ?? null;
+    }
+  }
+  await insertOutboxEvents(outbox);
+}
+
+async function resetEnrichmentForBackfill() {
+  let reset = 0;
+  for (const user of users.values()) {
+    const located = user.enrichment_status === ENRICHMENT_STATUS.ENRICHED
+      || (isNull(user.enrichment_status) && !isNull(user.country_code));
+    if (!isNull(user.ip_address) && located && isNull(user.geolocation_payload)) {
+      Object.assign(user, {
+        enrichment_status: ENRICHMENT_STATUS.BACKFILL,
+        enrichment_attempts: 0,
+        enrichment_next_attempt_at: null,
+        enrichment_last_error: null,
+      });
+      reset++;
+    }
+  }
+  return reset;
+}
+
+// Same predicate as whereNeedsRiskScore in supabase.js
+function needsRiskScore(user) {
+  return isNull(user.risk_scored_at)
+    && (isNull(user.ip_address)
+      || !isNull(user.country_code)
+      || [ENRICHMENT_STATUS.ENRICHED, ENRICHMENT_STATUS.UNRESOLVABLE].includes(user.enrichment_status));
+}
+
+async function getUsersNeedingRiskScore(batchSize, afterUserId = null) {
+  return [...users.values()]
+    .filter(needsRiskScore)
+    .filter(user => !afterUserId || user.user_id > afterUserId)
+    .sort((a, b) => (a.user_id < b.user_id ? -1 : a.user_id > b.user_id ? 1 : 0))
+    .slice(0, batchSize)
+    .map(user => pick(user, ['user_id', 'email', 'ip_address', 'country_code', 'created_at']));
+}
+
+async function countRelatedSignups(userIds, windowMinutes) {
+  const windowMs = windowMinutes * 60000;
+  const results = [];
+
+  for (const userId of userIds) {
+    const user = users.get(userId);
+    if (!user?.ip_address) {
+      continue;
+    }
+
+    const subnet = user.ip_subnet;
+    const createdAt = new Date(user.created_at).getTime();
+    let ipSignups = 0;
+    let subnetSignups = 0;
+    for (const other of users.values()) {
+      if (other.user_id === userId || Math.abs(new Date(other.created_at).getTime() - createdAt) > windowMs) {
+        continue;
+      }
+      if (subnet && other.ip_subnet === subnet) {
+        subnetSignups++;
+        if (other.ip_address === user.ip_address) {
+          ipSignups++;
+        }
+      }
+    }
+    results.push({ user_id: userId, ip_signups: ipSignups, subnet_signups: subnetSignups });
+  }
+
+  return results;
+}
+
+async function getUsersByNormalizedEmail(normalizedEmails) {
+  const wanted = new Set(normalizedEmails);
+  return [...users.values()]
+    .filter(user => user.email_normalized && wanted.has(user.email_normalized))
+    .map(user => pick(user, ['user_id', 'email_normalized', 'created_at']));
+}
+
+async function applyRiskScores(updates) {
+  for (const { user_id: userId, ...fields } of updates || []) {
+    const user = users.get(userId);
+    if (user) {
+      Object.assign(user, fields);
+    }
+  }
+}
+
+async function clearRiskScores() {
+  let cleared = 0;
+  for (const user of users.values()) {
+    if (user.risk_scored_at) {
+      user.risk_scored_at = null;
+      cleared++;
+    }
+  }
+  return cleared;
+}
+
+function signupDay(user) {
+  const time = new Date(user.created_at).getTime();
+  return Number.isNaN(time) ? null : new Date(time).toISOString().slice(0, 10);
+}
+
+function countInto(map, key, row) {
+  const existing = map.get(key);
+  if (existing) {
+    existing.signups++;
+  } else {
+    map.set(key, { ...row, signups: 1, refreshed_at: new Date().toISOString() });
+  }
+}
+
+async function refreshUserRollups(since = null) {
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const touched = (time) => time && new Date(time).getTime() >= sinceTime;
+
+  const days = new Set();
+  for (const user of users.values()) {
+    if (sinceTime === null || touched(user.ingested_at) || touched(user.enrichment_last_attempt_at)) {
+      days.add(signupDay(user));
+    }
+  }
+  for (const change of userChanges) {
+    if (touched(change.changed_at) && users.has(change.user_id)) {
+      days.add(signupDay(users.get(change.user_id)));
+      // The day the user was counted under before upstream moved its created_at
+      if (change.changes.created_at) {
+        days.add(signupDay({ created_at: change.changes.created_at.from }));
+      }
+    }
+  }
+  days.delete(null);
+
+  for (const map of Object.values(rollups)) {
+    for (const [key, row] of map) {
+      if (sinceTime === null || days.has(row.day)) {
+        map.delete(key);
+      }
+    }
+  }
+
+  for (const user of users.values()) {
+    const day = signupDay(user);
+    if (!days.has(day)) {
+      continue;
+    }
+    const location = { country_code: user.country_code || '', state: user.state || '', city: user.city || '' };
+    const identifierType = user.identifier_type || '';
+    countInto(rollups.daily, day, { day });
+    countInto(rollups.byLocation, JSON.stringify([day, location.country_code, location.state, location.city]), { day, ...location });
+    countInto(rollups.byIdentifierType, JSON.stringify([day, identifierType]), { day, identifier_type: identifierType });
+  }
+
+  return days.size;
+}
+
+/**
+ * Current rollup rows (the dashboard reads the tables directly; this is for local runs)
+ * @returns {{daily: Array, byLocation: Array, byIdentifierType: Array}}
+ */
+function getUserRollups() {
+  return {
+    daily: [...rollups.daily.values()],
+    byLocation: [...rollups.byLocation.values()],
+    byIdentifierType: [...rollups.byIdentifierType.values()],
+  };
+}
+
+function createdSince(since) {
+  const sinceTime = new Date(since).getTime();
+  return [...users.values()].filter(user => new Date(user.created_at).getTime() >= sinceTime);
+}
+
+async function countSignupsByHour(since) {
+  const counts = new Map();
+  for (const user of createdSince(since)) {
+    const hour = new Date(user.created_at);
+    hour.setUTCMinutes(0, 0, 0);
+    counts.set(hour.toISOString(), (counts.get(hour.toISOString()) || 0) + 1);
+  }
+  return [...counts].sort(([a], [b]) => a.localeCompare(b)).map(([hour, signups]) => ({ hour, signups }));
+}
+
+async function countSignupsByIp(since, minSignups) {
+  const counts = new Map();
+  for (const user of createdSince(since)) {
+    if (user.ip_address) {
+      counts.set(user.ip_address, (counts.get(user.ip_address) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .filter(([, signups]) => signups >= minSignups)
+    .sort(([, a], [, b]) => b - a)
+    .map(([ip_address, signups]) => ({ ip_address, signups }));
+}
+
+async function insertOutboxEvents(rows) {
+  const now = new Date().toISOString();
+  for (const row of rows) {
+    const duplicate = [...outboxEvents.values()]
+      .some(existing => existing.event_id === row.event_id && existing.endpoint === row.endpoint);
+    if (duplicate) {
+      continue;
+    }
+    const id = nextOutboxId++;
+    outboxEvents.set(id, {
+      id,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      last_error: null,
+      created_at: now,
+      delivered_at: null,
+      ...row,
+    });
+  }
+}
+
+async function getDueOutboxEvents(limit) {
+  const now = Date.now();
+  return [...outboxEvents.values()]
+    .filter(row => row.status === 'pending' && new Date(row.next_attempt_at).getTime() <= now)
+    .sort((a, b) => new Date(a.next_attempt_at) - new Date(b.next_attempt_at) || a.id - b.id)
+    .slice(0, limit)
+    .map(row => ({ ...row }));
+}
+
+async function updateOutboxEvent(id, updates) {
+  const row = outboxEvents.get(id);
+  if (row) {
+    Object.assign(row, updates);
+  }
+}
+
+async function requeueDeadOutboxEvents() {
+  let requeued = 0;
+  for (const row of outboxEvents.values()) {
+    if (row.status === 'dead') {
+      Object.assign(row, { status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() });
+      requeued++;
+    }
+  }
+  return requeued;
+}
+
+async function countOutboxEvents() {
+  const counts = { pending: 0, delivered: 0, dead: 0 };
+  for (const row of outboxEvents.values()) {
+    counts[row.status] = (counts[row.status] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Current outbox rows (for local runs)
+ * @returns {Array<Object>}
+ */
+function getOutboxEvents() {
+  return [...outboxEvents.values()].map(row => ({ ...row }));
+}
+
+async function getCachedGeolocation(ipAddress) {
+  return geolocationCache.get(ipAddress) || null;
+}
+
+async function saveCachedGeolocation(ipAddress, payload, provider) {
+  geolocationCache.set(ipAddress, {
+    ip_address: ipAddress,
+    provider,
+    payload,
+    fetched_at: new Date().toISOString(),
+  });
+}
+
+async function insertReconciliationReport(report) {
+  reconciliationReports.push(report);
+}
+
+async function acquireLock(name, owner, ttlMs) {
+  const now = Date.now();
+  const existing = jobLocks.get(name);
+  if (existing && new Date(existing.expires_at).getTime() >= now) {
+    return { acquired: false, recovered: false, holder: { owner: existing.owner, expires_at: existing.expires_at } };
+  }
+
+  jobLocks.set(name, {
+    name,
+    owner,
+    acquired_at: new Date(now).toISOString(),
+    expires_at: new Date(now + ttlMs).toISOString(),
+  });
+  return { acquired: true, recovered: Boolean(existing) };
+}
+
+async function renewLock(name, owner, ttlMs) {
+  const existing = jobLocks.get(name);
+  if (!existing || existing.owner !== owner) {
+    return false;
+  }
+  existing.expires_at = new Date(Date.now() + ttlMs).toISOString();
+  return true;
+}
+
+async function releaseLock(name, owner) {
+  if (jobLocks.get(name)?.owner === owner) {
+    jobLocks.delete(name);
+  }
+}
+
+/**
+ * Clear all stored state (useful between tests)
+ */
+function reset() {
+  syncState.clear();
+  users.clear();
+  geolocationCache.clear();
+  userChanges.length = 0;
+  quarantinedUsers.clear();
+  reconciliationReports.length = 0;
+  for (const map of Object.values(rollups)) {
+    map.clear();
+  }
+  outboxEvents.clear();
+  nextOutboxId = 1;
+  jobLocks.clear();
+}
+
+// SQL `is null` ('' and false are values)
+function isNull(value) {
+  return value === null || value === undefined;
+}
+
+function pick(row, fields) {
+  const result = {};
+  for (const field of fields) {
+    result[field] = row[field] ?? null;
+  }
+  return result;
+}
+
+module.exports = {
+  getSyncState,
+  setSyncState,
+  deleteSyncState,
+  insertUsers,
+  getUsersByIds,
+  listUserIds,
+  insertQuarantinedUsers,
+  getUsersNeedingEnrichment,
+  countUsersNeedingEnrichment,
+  getUserForEnrichment,
+  getUserLocation,
+  updateUser,
+  applyEnrichmentUpdates,
+  resetEnrichmentForBackfill,
+  getUsersNeedingRiskScore,
+  countRelatedSignups,
+  getUsersByNormalizedEmail,
+  applyRiskScores,
+  clearRiskScores,
+  refreshUserRollups,
+  countSignupsByHour,
+  countSignupsByIp,
+  insertOutboxEvents,
+  getDueOutboxEvents,
+  updateOutboxEvent,
+  requeueDeadOutboxEvents,
+  countOutboxEvents,
+  getCachedGeolocation,
+  saveCachedGeolocation,
+  insertReconciliationReport,
+  acquireLock,
+  renewLock,
+  releaseLock,
+  getUserRollups,
+  getOutboxEvents,
+  reset,
+};
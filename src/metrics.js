@@ -0,0 +1,130 @@
+const client = require('prom-client');
+
+// Prometheus metrics for the sync and enrichment services, exposed on the admin
+// API at /metrics. These are process-wide totals; per-run counts are returned by
+// the run functions themselves (syncUsers, enrichUsers).
+
+const registry = new client.Registry();
+
+/**
+ * Create a counter registered for /metrics
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} [labelNames] - Label names
+ * @returns {client.Counter}
+ */
+function createCounter(name, help, labelNames = []) {
+  return new client.Counter({ name, help, labelNames, registers: [registry] });
+}
+
+const upstreamPagesFetched = createCounter(
+  'avici_sync_upstream_pages_fetched_total',
+  'Pages fetched from the upstream users API'
+);
+const usersInserted = createCounter(
+  'avici_sync_users_inserted_total',
+  'Users inserted into id_users'
+);
+const usersUpdated = createCounter(
+  'avici_sync_users_updated_total',
+  'Existing users updated from upstream changes'
+);
+const usersQuarantined = createCounter(
+  'avici_sync_users_quarantined_total',
+  'Upstream users rejected by validation and sent to id_user_quarantine'
+);
+const rateLimitWaits = createCounter(
+  'avici_sync_rate_limit_waits_total',
+  'Times the upstream API rate limiter made a request wait'
+);
+const rateLimitWaitSeconds = createCounter(
+  'avici_sync_rate_limit_wait_seconds_total',
+  'Total time spent waiting for the upstream API rate limiter'
+);
+const geolocationRequests = createCounter(
+  'avici_geolocation_api_requests_total',
+  'Geolocation provider API requests by provider and HTTP status code (or "network_error")',
+  ['provider', 'status']
+);
+const geolocationCacheLookups = createCounter(
+  'avici_geolocation_cache_lookups_total',
+  'Geolocation cache lookups by result (hit or miss)',
+  ['result']
+);
+const enrichmentUsers = createCounter(
+  'avici_enrichment_users_total',
+  'Users processed by enrichment by outcome (enriched, unchanged, skipped, failed, unresolvable)',
+  ['outcome']
+);
+const riskUsersScored = createCounter(
+  'avici_risk_users_scored_total',
+  'Users given a sign-up risk score'
+);
+const riskSignals = createCounter(
+  'avici_risk_signals_total',
+  'Risk signals raised by signal (disposable_email, shared_ip, shared_subnet, email_alias, ip_country_mismatch)',
+  ['signal']
+);
+const webhookEventsEmitted = createCounter(
+  'avici_webhook_events_emitted_total',
+  'User events written to id_event_outbox by event type (one per event and endpoint)',
+  ['event']
+);
+const webhookDeliveries = createCounter(
+  'avici_webhook_deliveries_total',
+  'Webhook delivery attempts by event type and result (delivered, failed, dead)',
+  ['event', 'result']
+);
+
+const jobRunDuration = new client.Histogram({
+  name: 'avici_job_run_duration_seconds',
+  help: 'Duration of job runs by job and status',
+  labelNames: ['job', 'status'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600],
+  registers: [registry],
+});
+const jobLastSuccess = new client.Gauge({
+  name: 'avici_job_last_success_timestamp_seconds',
+  help: 'Unix time of the last successful run by job',
+  labelNames: ['job'],
+  registers: [registry],
+});
+
+/**
+ * Record a finished job run
+ * @param {string} job - Job name
+ * @param {string} status - 'succeeded' or 'failed'
+ * @param {number} durationMs - Run duration
+ */
+function observeJobRun(job, status, durationMs) {
+  jobRunDuration.observe({ job, status }, durationMs / 1000);
+  if (status === 'succeeded') {
+    jobLastSuccess.set({ job }, Date.now() / 1000);
+  }
+}
+
+/**
+ * Render all metrics in the Prometheus text format
+ * @returns {Promise<{contentType: string, body: string}>}
+ */
+async function renderMetrics() {
+  return { contentType: registry.contentType, body: await registry.metrics() };
+}
+
+module.exports = {
+  upstreamPagesFetched,
+  usersInserted,
+  usersUpdated,
+  usersQuarantined,
+  rateLimitWaits,
+  rateLimitWaitSeconds,
+  geolocationRequests,
+  geolocationCacheLookups,
+  enrichmentUsers,
+  riskUsersScored,
+  riskSignals,
+  webhookEventsEmitted,
+  webhookDeliveries,
+  observeJobRun,
+  renderMetrics,
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const config = require('./config');
+const storage = require('./storage');
+const { createHttpClient } = require('./http-client');
+const metrics = require('./metrics');
+const logger = require('./logger');
+
+// Outbound user events for WEBHOOK_ENDPOINTS. Events are written to id_event_outbox
+// (one row per endpoint) by the same storage call, and transaction, as the change
+// they describe (see createOutboxRows), and a delivery job POSTs due rows later, so
+// a slow or failing endpoint never holds up a sync or enrichment run. An event is
+// the JSON envelope { id, type, createdAt, data }:
+//   user.created  -> data: { user } (the inserted id_users row)
+//   user.updated  -> data: { user_id, changes, ip_changed } (as in id_user_changes)
+//   user.enriched -> data: { user_id, provider, location } (the columns filled)
+// Delivery is at least once and unordered; receivers should dedupe on the event id
+// (also sent as X-Avici-Delivery).
+
+const EVENT_TYPES = ['user.created', 'user.updated', 'user.enriched'];
+const SIGNATURE_HEADER = 'X-Avici-Signature';
+
+let client = null;
+
+function getClient() {
+  client = client || createHttpClient({
+    name: 'Webhook',
+    timeoutMs: config.WEBHOOK_TIMEOUT_MS,
+    // Retries are rescheduled through the outbox instead of blocking the job
+    maxRetries: 0,
+    auth: { type: 'hmac', secret: config.WEBHOOK_SECRET, header: SIGNATURE_HEADER },
+  });
+  return client;
+}
+
+/**
+ * Whether events of a type are written at all
+ * @param {string} type - Event type
+ * @returns {boolean}
+ */
+function isEventEnabled(type) {
+  return config.WEBHOOK_ENDPOINTS.length > 0 && config.WEBHOOK_EVENTS.includes(type);
+}
+
+/**
+ * Build the outbox rows for events of one type. The rows are passed to the storage
+ * call that writes the change (the `outbox` option of insertUsers, updateUser and
+ * applyEnrichmentUpdates), which writes both or neither.
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Array<{userId: string, data: Object}>} items - One event per item; missing data
+ *   is sent as {} (the payload column and receivers expect an object)
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report to record the events in instead
+ *   (no rows are returned then)
+ * @returns {Array<Object>} id_event_outbox rows, one per event and endpoint
+ */
+function createOutboxRows(type, items, { dryRun = null } = {}) {
+  if (!isEventEnabled(type) || items.length === 0) {
+    return [];
+  }
+
+  const createdAt = new Date().toISOString();
+  const events = items.map(({ userId, data }) => ({
+    userId,
+    envelope: { id: crypto.randomUUID(), type, createdAt, data: data ?? {} },
+  }));
+
+  if (dryRun) {
+    dryRun.events.push(...events.map(event => event.envelope));
+    return [];
+  }
+
+  const rows = [];
+  for (const { userId, envelope } of events) {
+    for (const endpoint of config.WEBHOOK_ENDPOINTS) {
+      rows.push({ event_id: envelope.id, event_type: type, user_id: userId, endpoint, payload: envelope });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Count outbox rows in the emitted-events metric once the write that carried them
+ * succeeded
+ * @param {Array<Object>} rows - Rows from createOutboxRows that were written
+ */
+function countEmittedEvents(rows) {
+  for (const row of rows) {
+    metrics.webhookEventsEmitted.inc({ event: row.event_type });
+  }
+}
+
+/**
+ * Delay before the next attempt, doubling from WEBHOOK_RETRY_BASE_SECONDS up to
+ * WEBHOOK_RETRY_MAX_MINUTES
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @returns {number} Milliseconds
+ */
+function retryDelayMs(attempts) {
+  return Math.min(config.WEBHOOK_RETRY_MAX_MINUTES * 60000, config.WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1));
+}
+
+function describeFailure(error) {
+  if (error.response) {
+    return `HTTP ${error.response.status}`;
+  }
+  return error.code || error.message;
+}
+
+/**
+ * POST one outbox row to its endpoint and record the result on the row
+ * @param {Object} row - Row from getDueOutboxEvents
+ * @returns {Promise<string>} 'delivered', 'failed' (rescheduled) or 'dead'
+ * @throws {Error} When the result could not be recorded
+ */
+async function deliverEvent(row) {
+  const logFields = { eventId: row.event_id, event: row.event_type, endpoint: row.endpoint };
+  const attempts = row.attempts + 1;
+
+  let failure = null;
+  try {
+    await getClient().post(row.endpoint, row.payload, {
+      headers: { 'X-Avici-Event': row.event_type, 'X-Avici-Delivery': row.event_id },
+      logFields,
+    });
+  } catch (error) {
+    failure = error;
+  }
+
+  // Recording the result is outside the try: a failed write after a successful POST
+  // must not be taken for a failed delivery and rescheduled (it fails the run instead)
+  if (!failure) {
+    await storage.updateOutboxEvent(row.id, { status: 'delivered', attempts, last_error: null, delivered_at: new Date().toISOString() });
+    return 'delivered';
+  }
+
+  const lastError = describeFailure(failure);
+  if (attempts >= config.WEBHOOK_MAX_ATTEMPTS) {
+    logger.error('Webhook delivery failed, giving up', { ...logFields, attempts, error: lastError });
+    await storage.updateOutboxEvent(row.id, { status: 'dead', attempts, last_error: lastError });
+    return 'dead';
+  }
+
+  const nextAttemptAt = new Date(Date.now() + retryDelayMs(attempts)).toISOString();
+  logger.warn('Webhook delivery failed, will retry', { ...logFields, attempts, nextAttemptAt, error: lastError });
+  await storage.updateOutboxEvent(row.id, { attempts, last_error: lastError, next_attempt_at: nextAttemptAt });
+  return 'failed';
+}
+
+/**
+ * Deliver every due outbox event, WEBHOOK_BATCH_SIZE rows at a time. Each row is
+ * either delivered or rescheduled, so the loop ends once nothing is due.
+ * @returns {Promise<{delivered: number, failed: number, dead: number}>}
+ */
+async function deliverEvents() {
+  const totals = { delivered: 0, failed: 0, dead: 0 };
+
+  for (;;) {
+    const rows = await storage.getDueOutboxEvents(config.WEBHOOK_BATCH_SIZE);
+    for (const row of rows) {
+      const result = await deliverEvent(row);
+      metrics.webhookDeliveries.inc({ event: row.event_type, result });
+      totals[result]++;
+    }
+
+    if (rows.length < config.WEBHOOK_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (totals.delivered + totals.failed + totals.dead > 0) {
+    logger.info('Webhook delivery complete', totals);
+  }
+  return totals;
+}
+
+/**
+ * Make dead events pending again, e.g. once a broken endpoint is fixed
+ * @returns {Promise<{requeued: number}>}
+ */
+async function requeueDeadEvents() {
+  const requeued = await storage.requeueDeadOutboxEvents();
+  logger.info('Requeued dead webhook events', { requeued });
+  return { requeued };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  createOutboxRows,
+  countEmittedEvents,
+  deliverEvents,
+  requeueDeadEvents,
+};
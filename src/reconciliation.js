@@ -0,0 +1,168 @@
+const config = require('./config');
+const logger = require('./logger');
+const { getUsersByIds, listUserIds, insertReconciliationReport } = require('./storage');
+const { fetchUsersPage, insertNewUsers, applyUserUpdates } = require('./sync');
+const { diffUser } = require('./users');
+const { sleep } = require('./concurrency');
+const { createDryRunReport, logDryRunReport } = require('./dry-run');
+
+/**
+ * Reconcile id_users with the upstream API.
+ * Walks every upstream page (pausing RECONCILIATION_PAGE_DELAY_MS between pages on
+ * top of the API rate limit) and compares each user with our copy:
+ *   missing - upstream but not in id_users (e.g. an insert that failed)
+ *   changed - in both, but upstream is newer and differs (see diffUser)
+ *   extra   - in id_users but no longer upstream (reported only, never deleted); only
+ *             counted once every upstream page was walked, null otherwise
+ * Without repair nothing is written but the report. With repair, missing users are
+ * inserted and changed users updated. RECONCILIATION_APPLY_UPDATES also updates
+ * changed users without repair: incremental syncs stop at the checkpoint, so this
+ * pass can pick up changes to older users. A report row is saved for every run,
+ * including failed ones.
+ * A dry run writes nothing, not even the report row: the inserts and updates it
+ * would have made are returned in report.dry_run (see dry-run.js).
+ * @param {Object} [options]
+ * @param {boolean} [options.repair] - Fix missing and changed rows (default RECONCILIATION_REPAIR)
+ * @param {boolean} [options.dryRun] - Write nothing (default DRY_RUN)
+ * @returns {Promise<Object>} The saved report (for a dry run, the unsaved one)
+ */
+async function reconcileUsers({ repair = config.RECONCILIATION_REPAIR, dryRun = config.DRY_RUN } = {}) {
+  const dryRunReport = dryRun ? createDryRunReport() : null;
+  const sampleSize = config.RECONCILIATION_SAMPLE_SIZE;
+  const applyChanges = repair || config.RECONCILIATION_APPLY_UPDATES;
+  const upstreamIds = new Set();
+  const missing = [];
+  const changed = [];
+  const extra = [];
+  const report = {
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    status: 'completed',
+    repair,
+    pages_scanned: 0,
+    upstream_count: 0,
+    missing_count: 0,
+    extra_count: 0,
+    changed_count: 0,
+    inserted_count: 0,
+    updated_count: 0,
+    missing_sample: [],
+    extra_sample: [],
+    changed_sample: [],
+    error: null,
+  };
+
+  logger.info(dryRun ? 'Starting reconciliation (dry run)...' : 'Starting reconciliation...', { repair });
+
+  // Set once the walk reached the last upstream page and every user we have was
+  // checked; until then, a user we have may simply be on a page not fetched yet
+  let walkedAll = false;
+  try {
+    let currentPage = 1;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const data = await fetchUsersPage(currentPage, { dryRun: dryRunReport });
+      const users = data.users || [];
+      report.pages_scanned++;
+
+      if (users.length > 0) {
+        const storedUsers = await getUsersByIds(users.map(user => user.user_id));
+        const storedById = new Map(storedUsers.map(user => [user.user_id, user]));
+        const pageMissing = [];
+        const pageChanged = [];
+
+        for (const user of users) {
+          upstreamIds.add(user.user_id);
+          const storedUser = storedById.get(user.user_id);
+          if (!storedUser) {
+            pageMissing.push(user);
+            continue;
+          }
+          const diff = diffUser(storedUser, user);
+          if (diff) {
+            pageChanged.push({ userId: user.user_id, diff });
+          }
+        }
+
+        missing.push(...pageMissing.map(user => user.user_id));
+        changed.push(...pageChanged.map(change => change.userId));
+
+        if (repair) {
+          report.inserted_count += await insertNewUsers(pageMissing, { dryRun: dryRunReport });
+        }
+        if (applyChanges) {
+          report.updated_count += await applyUserUpdates(pageChanged, { dryRun: dryRunReport });
+        }
+
+        if (pageMissing.length > 0 || pageChanged.length > 0) {
+          logger.info('Reconciliation page has differences', { page: currentPage, missing: pageMissing.length, changed: pageChanged.length });
+        }
+      }
+
+      hasNextPage = data.pagination?.hasNextPage || false;
+      currentPage++;
+
+      if (hasNextPage) {
+        await sleep(config.RECONCILIATION_PAGE_DELAY_MS);
+      }
+    }
+
+    // Rows we have that upstream no longer lists
+    let cursor = null;
+    for (;;) {
+      const userIds = await listUserIds(1000, cursor);
+      if (userIds.length === 0) {
+        break;
+      }
+      extra.push(...userIds.filter(userId => !upstreamIds.has(userId)));
+      cursor = userIds[userIds.length - 1];
+    }
+    walkedAll = true;
+  } catch (error) {
+    logger.error('Reconciliation error', { error });
+    report.status = 'failed';
+    report.error = error.message;
+  }
+
+  Object.assign(report, {
+    finished_at: new Date().toISOString(),
+    upstream_count: upstreamIds.size,
+    missing_count: missing.length,
+    extra_count: walkedAll ? extra.length : null,
+    changed_count: changed.length,
+    missing_sample: missing.slice(0, sampleSize),
+    extra_sample: extra.slice(0, sampleSize),
+    changed_sample: changed.slice(0, sampleSize),
+  });
+
+  if (dryRunReport) {
+    report.dry_run = dryRunReport;
+    logDryRunReport(dryRunReport);
+  } else {
+    try {
+      await insertReconciliationReport(report);
+    } catch (error) {
+      logger.error('Error saving reconciliation report', { error });
+    }
+  }
+
+  logger.info(`Reconciliation ${report.status}`, {
+    upstream: report.upstream_count,
+    missing: report.missing_count,
+    extra: report.extra_count,
+    changed: report.changed_count,
+    ...(repair ? { inserted: report.inserted_count } : {}),
+    ...(applyChanges ? { updated: report.updated_count } : {}),
+  });
+
+  if (report.status === 'failed') {
+    throw new Error(`Reconciliation failed: ${report.error}`);
+  }
+
+  return report;
+}
+
+module.exports = {
+  reconcileUsers,
+};
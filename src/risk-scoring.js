@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const storage = require('./storage');
+const { ipSubnet } = require('./ip-classification');
+const metrics = require('./metrics');
+const logger = require('./logger');
+
+// Sign-up risk scoring, run as the last step of every enrichment run (once a
+// user's location is settled). Each signal that applies adds its weight to the
+// user's risk_score (capped at 100) and a { signal, weight, detail } entry to
+// risk_reasons:
+//   disposable_email    -> email domain is on the bundled disposable list
+//   shared_ip           -> RISK_ACCOUNTS_PER_IP+ other accounts from the same IP
+//                          created within RISK_WINDOW_MINUTES
+//   shared_subnet       -> the same for the /24 (IPv6: /48), when shared_ip didn't fire
+//   email_alias         -> an account created earlier has the same address once
+//                          +tags (and Gmail dots) are removed; only the later
+//                          account is flagged
+//   ip_country_mismatch -> the email domain's country TLD differs from the IP country
+// Signals are evaluated once, when the user is scored; later signups don't
+// re-score earlier users.
+const SIGNAL_WEIGHTS = {
+  disposable_email: 40,
+  shared_ip: 30,
+  shared_subnet: 15,
+  email_alias: 25,
+  ip_country_mismatch: 15,
+};
+
+// Providers where dots in the local part are ignored
+const DOT_INSENSITIVE_DOMAINS = new Map([
+  ['gmail.com', 'gmail.com'],
+  ['googlemail.com', 'gmail.com'],
+]);
+
+// Country TLDs commonly registered as generic domains, which say nothing about
+// where the user is
+const GENERIC_COUNTRY_TLDS = new Set(['ai', 'cc', 'co', 'fm', 'gg', 'im', 'io', 'la', 'ly', 'me', 'sh', 'so', 'to', 'tv', 'ws']);
+
+// ISO 3166 codes that differ from the TLD
+const TLD_COUNTRY_CODES = { uk: 'GB' };
+
+const disposableDomains = new Set([
+  ...fs.readFileSync(path.join(__dirname, 'disposable-email-domains.txt'), 'utf8')
+    .split('\n')
+    .map(line => line.replace(/#.*$/, '').trim().toLowerCase())
+    .filter(Boolean),
+  ...config.RISK_EXTRA_DISPOSABLE_DOMAINS.map(domain => domain.toLowerCase()),
+]);
+
+function emailDomain(email) {
+  const at = typeof email === 'string' ? email.lastIndexOf('@') : -1;
+  return at > 0 ? email.slice(at + 1).trim().toLowerCase() : null;
+}
+
+/**
+ * Canonical form of an email address for alias matching: lower-cased, without a
+ * +tag, and without dots for providers that ignore them (gmail.com / googlemail.com)
+ * @param {string|null} email
+ * @returns {string|null} Null when the address is missing or malformed
+ */
+function normalizeEmail(email) {
+  const domain = emailDomain(email);
+  if (!domain) {
+    return null;
+  }
+
+  let local = email.slice(0, email.lastIndexOf('@')).trim().toLowerCase().split('+')[0];
+  let canonicalDomain = domain;
+  if (DOT_INSENSITIVE_DOMAINS.has(domain)) {
+    local = local.replace(/\./g, '');
+    canonicalDomain = DOT_INSENSITIVE_DOMAINS.get(domain);
+  }
+  return local ? `${local}@${canonicalDomain}` : null;
+}
+
+/**
+ * Whether an email domain (or a parent domain) is on the disposable list
+ * @param {string|null} domain
+ * @returns {string|null} The listed domain that matched
+ */
+function matchDisposableDomain(domain) {
+  const labels = domain ? domain.split('.') : [];
+  for (let i = 0; i < labels.length - 1; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (disposableDomains.has(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Country implied by an email domain's TLD
+ * @param {string|null} domain
+ * @returns {string|null} ISO country code, or null for generic TLDs
+ */
+function emailCountry(domain) {
+  const tld = domain ? domain.slice(domain.lastIndexOf('.') + 1) : '';
+  if (!/^[a-z]{2}$/.test(tld) || GENERIC_COUNTRY_TLDS.has(tld)) {
+    return null;
+  }
+  return TLD_COUNTRY_CODES[tld] || tld.toUpperCase();
+}
+
+/**
+ * Work out the risk signals of one user
+ * @param {Object} user - Row from getUsersNeedingRiskScore
+ * @param {Object} context
+ * @param {Object} [context.related] - countRelatedSignups row for the user
+ * @param {number} context.aliases - Accounts created earlier with the same normalised email
+ * @returns {Array<{signal: string, weight: number, detail: string}>}
+ */
+function evaluateSignals(user, { related, aliases }) {
+  const reasons = [];
+  const add = (signal, detail) => reasons.push({ signal, weight: SIGNAL_WEIGHTS[signal], detail });
+  const domain = emailDomain(user.email);
+
+  const disposable = matchDisposableDomain(domain);
+  if (disposable) {
+    add('disposable_email', `Disposable email domain ${disposable}`);
+  }
+
+  const window = `${config.RISK_WINDOW_MINUTES} minutes`;
+  if (related && config.RISK_ACCOUNTS_PER_IP > 0 && related.ip_signups >= config.RISK_ACCOUNTS_PER_IP) {
+    add('shared_ip', `${related.ip_signups} other accounts from ${user.ip_address} within ${window}`);
+  } else if (related && config.RISK_ACCOUNTS_PER_SUBNET > 0 && related.subnet_signups >= config.RISK_ACCOUNTS_PER_SUBNET) {
+    add('shared_subnet', `${related.subnet_signups} other accounts from ${ipSubnet(user.ip_address)} within ${window}`);
+  }
+
+  if (aliases > 0) {
+    add('email_alias', `Same address as ${aliases} earlier account${aliases === 1 ? '' : 's'} once aliases are removed (${normalizeEmail(user.email)})`);
+  }
+
+  const country = emailCountry(domain);
+  if (country && user.country_code && country !== user.country_code.toUpperCase()) {
+    add('ip_country_mismatch', `IP located in ${user.country_code.toUpperCase()}, email domain ${domain} suggests ${country}`);
+  }
+
+  return reasons;
+}
+
+/**
+ * Whether account a signed up before account b (by created_at, then user_id), so
+ * that of two alias accounts only the later one is flagged
+ * @param {{user_id: string, created_at: string}} a
+ * @param {{user_id: string, created_at: string}} b
+ * @returns {boolean}
+ */
+function signedUpBefore(a, b) {
+  const difference = new Date(a.created_at).getTime() - new Date(b.created_at).getTime();
+  return difference < 0 || (difference === 0 && a.user_id < b.user_id);
+}
+
+/**
+ * Score one batch of unscored users
+ * @param {number} batchSize
+ * @param {string|null} afterUserId - Keyset cursor: the last user_id of the previous batch
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report to record the score updates in
+ *   (as enrichment updates) instead
+ * @returns {Promise<{scored: number, flagged: number, lastUserId: string|null, hasMore: boolean}>}
+ */
+async function scoreRiskBatch(batchSize, afterUserId = null, { dryRun = null } = {}) {
+  const users = await storage.getUsersNeedingRiskScore(batchSize, afterUserId);
+  if (users.length === 0) {
+    return { scored: 0, flagged: 0, lastUserId: afterUserId, hasMore: false };
+  }
+
+  const userIds = users.filter(user => user.ip_address).map(user => user.user_id);
+  const related = config.RISK_ACCOUNTS_PER_IP > 0 || config.RISK_ACCOUNTS_PER_SUBNET > 0
+    ? await storage.countRelatedSignups(userIds, config.RISK_WINDOW_MINUTES)
+    : [];
+  const relatedById = new Map(related.map(row => [row.user_id, row]));
+
+  // Accounts sharing a normalised email, stored or in this batch
+  const normalizedById = new Map(users.map(user => [user.user_id, normalizeEmail(user.email)]));
+  const accountsByEmail = new Map();
+  const addAccount = (email, account) => {
+    if (email) {
+      accountsByEmail.set(email, (accountsByEmail.get(email) || new Map()).set(account.user_id, account));
+    }
+  };
+  const normalizedEmails = [...new Set([...normalizedById.values()].filter(Boolean))];
+  for (const row of await storage.getUsersByNormalizedEmail(normalizedEmails)) {
+    addAccount(row.email_normalized, row);
+  }
+  for (const user of users) {
+    addAccount(normalizedById.get(user.user_id), user);
+  }
+
+  const scoredAt = new Date().toISOString();
+  let flagged = 0;
+  const updates = users.map((user) => {
+    const email = normalizedById.get(user.user_id);
+    const accounts = email ? [...accountsByEmail.get(email).values()] : [];
+    const reasons = evaluateSignals(user, {
+      related: relatedById.get(user.user_id),
+      aliases: accounts.filter(account => signedUpBefore(account, user)).length,
+    });
+
+    if (reasons.length > 0) {
+      flagged++;
+    }
+    return {
+      user_id: user.user_id,
+      risk_score: Math.min(100, reasons.reduce((sum, reason) => sum + reason.weight, 0)),
+      risk_reasons: reasons,
+      risk_scored_at: scoredAt,
+      email_normalized: email,
+    };
+  });
+
+  if (dryRun) {
+    dryRun.enrichment.push(...updates);
+  } else {
+    await storage.applyRiskScores(updates);
+    metrics.riskUsersScored.inc({}, updates.length);
+    for (const update of updates) {
+      for (const { signal } of update.risk_reasons) {
+        metrics.riskSignals.inc({ signal });
+      }
+    }
+  }
+
+  return {
+    scored: updates.length,
+    flagged,
+    lastUserId: users[users.length - 1].user_id,
+    hasMore: users.length === batchSize,
+  };
+}
+
+/**
+ * Score every user whose location is settled but who has no risk score yet
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report (see scoreRiskBatch)
+ * @returns {Promise<{scored: number, flagged: number}>}
+ */
+async function scoreRisk({ dryRun = null } = {}) {
+  const totals = { scored: 0, flagged: 0 };
+  let cursor = null;
+
+  try {
+    for (let hasMore = true; hasMore;) {
+      const result = await scoreRiskBatch(config.RISK_BATCH_SIZE, cursor, { dryRun });
+      totals.scored += result.scored;
+      totals.flagged += result.flagged;
+      cursor = result.lastUserId;
+      hasMore = result.hasMore;
+    }
+  } catch (error) {
+    logger.error('Error scoring sign-up risk', { afterUserId: cursor, error });
+    throw error;
+  }
+
+  if (totals.scored > 0) {
+    logger.info('Risk scoring complete', totals);
+  }
+  return totals;
+}
+
+/**
+ * Mark every user for rescoring on the next run (e.g. after the disposable domain
+ * list or thresholds changed). Existing scores stay until then.
+ * @returns {Promise<{cleared: number}>}
+ */
+async function clearRiskScores() {
+  const cleared = await storage.clearRiskScores();
+  logger.info('Risk scores cleared for rescoring', { cleared });
+  return { cleared };
+}
+
+module.exports = {
+  SIGNAL_WEIGHTS,
+  normalizeEmail,
+  scoreRisk,
+  clearRiskScores,
+};
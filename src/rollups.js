@@ -0,0 +1,85 @@
+const { getSyncState, setSyncState, refreshUserRollups } = require('./storage');
+const { runExclusive } = require('./job-lock');
+const logger = require('./logger');
+
+// Dashboard rollups (id_signups_daily, id_signups_by_location,
+// id_signups_by_identifier_type) are refreshed after every sync and enrichment run.
+// A refresh recomputes the signup days of every user inserted, updated or enriched
+// since the previous refresh, stored under ROLLUPS_REFRESHED_KEY. Without that key
+// (first run, or after a backfill was interrupted) everything is rebuilt.
+const ROLLUPS_REFRESHED_KEY = 'rollups_refreshed_at';
+
+// Refreshes and rebuilds share one lock: the sync and enrichment services both
+// refresh after their runs, and two overlapping recomputes of the same day would
+// delete each other's rows
+const ROLLUPS_LOCK = 'rollups';
+
+// Rows written by the other service while the last refresh ran carry timestamps
+// from before it finished; looking back a little further catches them
+const REFRESH_OVERLAP_MS = 5 * 60 * 1000;
+
+/**
+ * Refresh the rollups for the users touched since the last refresh
+ * @returns {Promise<{skipped: boolean, days?: number, since?: string|null}>} skipped is
+ *   true when another refresh or rebuild held the lock; otherwise the days recomputed
+ *   (since is null when everything was rebuilt)
+ */
+async function refreshRollups() {
+  const { skipped, result } = await runExclusive(ROLLUPS_LOCK, async () => {
+    const startedAt = new Date().toISOString();
+    const lastRefreshedAt = await getSyncState(ROLLUPS_REFRESHED_KEY);
+    const since = lastRefreshedAt
+      ? new Date(new Date(lastRefreshedAt).getTime() - REFRESH_OVERLAP_MS).toISOString()
+      : null;
+
+    const days = await refreshUserRollups(since);
+    await setSyncState({ [ROLLUPS_REFRESHED_KEY]: startedAt });
+
+    logger.info(since ? 'Rollups refreshed' : 'Rollups rebuilt', { days, since });
+    return { days, since };
+  });
+  return { skipped, ...result };
+}
+
+/**
+ * Rebuild every rollup row from id_users (backfill)
+ * @returns {Promise<{skipped: boolean, days?: number}>} skipped is true when another
+ *   refresh or rebuild held the lock; otherwise the days recomputed
+ */
+async function rebuildRollups() {
+  const { skipped, result } = await runExclusive(ROLLUPS_LOCK, async () => {
+    const startedAt = new Date().toISOString();
+    const days = await refreshUserRollups(null);
+    await setSyncState({ [ROLLUPS_REFRESHED_KEY]: startedAt });
+
+    logger.info('Rollups rebuilt', { days });
+    return { days };
+  });
+  return { skipped, ...result };
+}
+
+/**
+ * Refresh the rollups at the end of a run. Failures are logged, not thrown: the
+ * run's own writes succeeded, and the next refresh covers the same users because
+ * the last-refreshed time only moves on success. The same holds when the refresh
+ * is skipped because another one is running.
+ * @param {Object|null} dryRun - Dry-run report of the run (nothing to refresh when set)
+ * @returns {Promise<void>}
+ */
+async function refreshRollupsAfterRun(dryRun) {
+  if (dryRun) {
+    return;
+  }
+
+  try {
+    await refreshRollups();
+  } catch (error) {
+    logger.error('Error refreshing rollups', { error });
+  }
+}
+
+module.exports = {
+  refreshRollups,
+  rebuildRollups,
+  refreshRollupsAfterRun,
+};
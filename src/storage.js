@@ -0,0 +1,53 @@
+const config = require('./config');
+
+// Storage backends share one interface:
+//   getSyncState(key)                                -> Promise<string|null>
+//   setSyncState({ key: value, ... })                -> Promise<void>
+//   deleteSyncState(key)                             -> Promise<void>
+//   insertUsers(users, { dryRun, outbox })           -> Promise<Array> (rows inserted; throws if the write failed; dryRun: see dry-run.js)
+//   getUsersByIds(userIds)                           -> Promise<Array> (user_id + synced columns)
+//   listUserIds(batchSize, afterUserId)              -> Promise<Array<string>> (ordered by user_id)
+//   insertQuarantinedUsers(records)                  -> Promise<void> (skips payload_hash already stored)
+//   getUsersNeedingEnrichment(batchSize, afterUserId) -> Promise<Array> (ordered by user_id)
+//   countUsersNeedingEnrichment()                    -> Promise<number>
+//   getUserForEnrichment(userId)                     -> Promise<Object|null> (a row shaped like getUsersNeedingEnrichment's)
+//   getUserLocation(userId)                          -> Promise<Object>
+//   updateUser(userId, updates, { change, outbox })  -> Promise<void> (change: id_user_changes row to record)
+//   applyEnrichmentUpdates(updates, { outbox })      -> Promise<void> (batched; fills null location columns only)
+//   resetEnrichmentForBackfill()                     -> Promise<number> (located users without a stored payload queued for the backfill)
+//   getUsersNeedingRiskScore(batchSize, afterUserId) -> Promise<Array> (unscored, location settled; ordered by user_id)
+//   countRelatedSignups(userIds, windowMinutes)      -> Promise<Array<{user_id, ip_signups, subnet_signups}>> (other users)
+//   getUsersByNormalizedEmail(normalizedEmails)      -> Promise<Array<{user_id, email_normalized, created_at}>>
+//   applyRiskScores(updates)                         -> Promise<void> (batched)
+//   clearRiskScores()                                -> Promise<number> (users marked for rescoring)
+//   refreshUserRollups(since)                        -> Promise<number> (signup days recomputed; null since rebuilds all)
+//   countSignupsByHour(since)                        -> Promise<Array<{hour, signups}>> (UTC hours with signups, by created_at)
+//   countSignupsByIp(since, minSignups)              -> Promise<Array<{ip_address, signups}>> (most signups first)
+//   insertOutboxEvents(rows)                         -> Promise<void> (skips event_id + endpoint already stored)
+//   getDueOutboxEvents(limit)                        -> Promise<Array> (pending, next_attempt_at passed, oldest first)
+//   updateOutboxEvent(id, updates)                   -> Promise<void>
+//   requeueDeadOutboxEvents()                        -> Promise<number> (dead events made pending again)
+//   countOutboxEvents()                              -> Promise<{pending, delivered, dead}>
+//   getCachedGeolocation(ipAddress)                  -> Promise<{provider, payload, fetched_at}|null>
+//   saveCachedGeolocation(ipAddress, payload, provider) -> Promise<void>
+//   insertReconciliationReport(report)               -> Promise<void>
+//   acquireLock(name, owner, ttlMs)                  -> Promise<{acquired, recovered, holder?}>
+//   renewLock(name, owner, ttlMs)                    -> Promise<boolean> (false if the lock was lost)
+//   releaseLock(name, owner)                         -> Promise<void>
+// `outbox` takes id_event_outbox rows from createOutboxRows (outbox.js), written in
+// the same transaction as the change; insertUsers only writes the rows of the users
+// it inserted, with payload.data.user set to the inserted row.
+//
+// Backends are required lazily so that the memory backend can run without
+// Supabase credentials (createClient throws when the URL is missing).
+const BACKENDS = {
+  supabase: () => require('./supabase'),
+  memory: () => require('./memory-store'),
+};
+
+const loadBackend = BACKENDS[config.STORAGE_BACKEND];
+if (!loadBackend) {
+  throw new Error(`Unknown STORAGE_BACKEND "${config.STORAGE_BACKEND}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+}
+
+module.exports = loadBackend();
@@ -1,16 +1,16 @@
 const { createClient } = require('@supabase/supabase-js');
 const config = require('./config');
+const logger = require('./logger');
+const { toDbUser, LOCATION_FIELDS, ENRICHED_FIELDS, SYNCED_FIELDS, ENRICHMENT_STATUS } = require('./users');
 
 const supabase = createClient(config.SUPABASE_URL, config.SUPABASE_KEY);
 
-const CHECKPOINT_KEY = 'last_synced_user_id';
-
-async function getCheckpoint() {
+async function getSyncState(key) {
   try {
     const { data, error } = await supabase
       .from('id_sync_state')
       .select('value')
-      .eq('key', CHECKPOINT_KEY)
+      .eq('key', key)
       .single();
 
     if (error) {
@@ -22,71 +22,634 @@ async function getCheckpoint() {
 
     return data?.value || null;
   } catch (error) {
-    console.error('Error getting checkpoint:', error);
+    logger.error('Error getting sync state', { key, error });
     throw error;
   }
 }
 
-async function updateCheckpoint(userId) {
+async function setSyncState(entries) {
   try {
+    const updatedAt = new Date().toISOString();
     const { error } = await supabase
       .from('id_sync_state')
-      .upsert({
-        key: CHECKPOINT_KEY,
-        value: userId,
-        updated_at: new Date().toISOString(),
-      }, {
+      .upsert(Object.entries(entries).map(([key, value]) => ({
+        key,
+        value,
+        updated_at: updatedAt,
+      })), {
         onConflict: 'key',
       });
 
     if (error) {
       throw error;
     }
-
-    console.log(`Checkpoint updated to: ${userId}`);
   } catch (error) {
-    console.error('Error updating checkpoint:', error);
+    logger.error('Error updating sync state', { error });
+    throw error;
+  }
+}
+
+async function deleteSyncState(key) {
+  const { error } = await supabase
+    .from('id_sync_state')
+    .delete()
+    .eq('key', key);
+
+  if (error) {
     throw error;
   }
 }
 
-async function insertUsers(users) {
+async function insertUsers(users, { dryRun = null, outbox = [] } = {}) {
   if (!users || users.length === 0) {
-    return 0;
+    return [];
   }
 
   try {
-    const dbUsers = users.map(user => ({
-      user_id: user.user_id,
-      email: user.email,
-      ip_address: user.ipAddress || null,
-      identifier_type: user.identifierType,
-      created_at: user.createdAt,
-      updated_at: user.updatedAt,
-      ingested_at: new Date().toISOString(),
-    }));
+    const ingestedAt = new Date().toISOString();
+    const dbUsers = users.map(user => toDbUser(user, ingestedAt));
 
+    if (dryRun) {
+      // Existing rows, and repeats of a user_id within the batch, would be skipped
+      // by ignoreDuplicates
+      const existingIds = new Set((await getUsersByIds(dbUsers.map(row => row.user_id))).map(row => row.user_id));
+      const newRows = dbUsers.filter((row, i) => !existingIds.has(row.user_id)
+        && dbUsers.findIndex(other => other.user_id === row.user_id) === i);
+      dryRun.inserts.push(...newRows);
+      return newRows;
+    }
+
+    if (outbox.length > 0) {
+      // Inserts the users and the events of the ones inserted in one transaction
+      // (see id_insert_users in migrations/)
+      const { data, error } = await supabase.rpc('id_insert_users', { p_users: dbUsers, p_outbox: outbox });
+      if (error) {
+        throw error;
+      }
+      return data || [];
+    }
+
+    // With ignoreDuplicates, only the rows actually inserted come back
     const { data, error } = await supabase
       .from('id_users')
       .upsert(dbUsers, {
         onConflict: 'user_id',
         ignoreDuplicates: true,
-      });
+      })
+      .select();
 
     if (error) {
       throw error;
     }
 
-    return dbUsers.length;
+    return data || [];
   } catch (error) {
-    console.error('Error inserting users:', error);
-    return 0;
+    logger.error('Error inserting users', { error });
+    throw error;
+  }
+}
+
+async function getUsersByIds(userIds) {
+  if (!userIds || userIds.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('id_users')
+    .select(['user_id', ...SYNCED_FIELDS].join(', '))
+    .in('user_id', userIds);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+async function listUserIds(batchSize, afterUserId = null) {
+  let query = supabase
+    .from('id_users')
+    .select('user_id')
+    .order('user_id', { ascending: true })
+    .limit(batchSize);
+
+  if (afterUserId) {
+    query = query.gt('user_id', afterUserId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map(row => row.user_id);
+}
+
+async function insertQuarantinedUsers(records) {
+  if (!records || records.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('id_user_quarantine')
+    .upsert(records, {
+      onConflict: 'payload_hash',
+      ignoreDuplicates: true,
+    });
+
+  if (error) {
+    throw error;
+  }
+}
+
+// Columns of an enrichment candidate row (see resolveUser in enrichment.js)
+const ENRICHMENT_CANDIDATE_COLUMNS = ['user_id', 'ip_address', ...ENRICHED_FIELDS, 'enrichment_status', 'enrichment_attempts'];
+
+function whereNeedsEnrichment(query) {
+  // Users where ip_address is not null, queued for the backfill or with at least one
+  // LOCATION_FIELDS column null while enrichment has not finished or been given up
+  // on, and any retry backoff has elapsed
+  const missingLocation = LOCATION_FIELDS.map(field => `${field}.is.null`).join(',');
+  return query
+    .not('ip_address', 'is', null)
+    .or([
+      `enrichment_status.eq.${ENRICHMENT_STATUS.BACKFILL}`,
+      `and(or(enrichment_status.is.null,enrichment_status.eq.${ENRICHMENT_STATUS.RETRY}),or(${missingLocation}))`,
+    ].join(','))
+    .or(`enrichment_next_attempt_at.is.null,enrichment_next_attempt_at.lte.${new Date().toISOString()}`);
+}
+
+async function getUsersNeedingEnrichment(batchSize, afterUserId = null) {
+  let query = whereNeedsEnrichment(supabase
+    .from('id_users')
+    .select(ENRICHMENT_CANDIDATE_COLUMNS.join(', ')))
+    .order('user_id', { ascending: true })
+    .limit(batchSize);
+
+  // Keyset pagination: rows processed in earlier batches drop out of the filter
+  // above, so an offset would skip unprocessed rows
+  if (afterUserId) {
+    query = query.gt('user_id', afterUserId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+async function countUsersNeedingEnrichment() {
+  const { count, error } = await whereNeedsEnrichment(supabase
+    .from('id_users')
+    .select('user_id', { count: 'exact', head: true }));
+
+  if (error) {
+    throw error;
+  }
+
+  return count || 0;
+}
+
+async function getUserForEnrichment(userId) {
+  const { data, error } = await supabase
+    .from('id_users')
+    .select(ENRICHMENT_CANDIDATE_COLUMNS.join(', '))
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+async function getUserLocation(userId) {
+  const { data, error } = await supabase
+    .from('id_users')
+    .select(ENRICHED_FIELDS.join(', '))
+    .eq('user_id', userId)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+async function updateUser(userId, updates, { change = null, outbox = [] } = {}) {
+  if (change || outbox.length > 0) {
+    // The update, its history row and its events in one transaction
+    // (see id_update_user in migrations/)
+    const { error } = await supabase.rpc('id_update_user', {
+      p_user_id: userId,
+      p_updates: updates,
+      p_change: change,
+      p_outbox: outbox,
+    });
+    if (error) {
+      throw error;
+    }
+    return;
+  }
+
+  const { error } = await supabase
+    .from('id_users')
+    .update(updates)
+    .eq('user_id', userId);
+
+  if (error) {
+    throw error;
+  }
+}
+
+async function applyEnrichmentUpdates(updates, { outbox = [] } = {}) {
+  if (!updates || updates.length === 0) {
+    return;
+  }
+
+  // One round trip per batch. The function only fills location columns that are
+  // still null and overwrites the enrichment_* status columns
+  // (see id_apply_enrichment_updates in migrations/); with events, they are
+  // written in the same transaction
+  const { error } = outbox.length > 0
+    ? await supabase.rpc('id_apply_enrichment_updates_with_events', { p_updates: updates, p_outbox: outbox })
+    : await supabase.rpc('id_apply_enrichment_updates', { updates });
+
+  if (error) {
+    throw error;
+  }
+}
+
+async function resetEnrichmentForBackfill() {
+  // Users located before the raw payload was kept, including ones located before
+  // enrichment_status existed; their located columns stay and only the missing
+  // ones are filled again
+  const { count, error } = await supabase
+    .from('id_users')
+    .update({
+      enrichment_status: ENRICHMENT_STATUS.BACKFILL,
+      enrichment_attempts: 0,
+      enrichment_next_attempt_at: null,
+      enrichment_last_error: null,
+    }, { count: 'exact' })
+    .not('ip_address', 'is', null)
+    .or(`enrichment_status.eq.${ENRICHMENT_STATUS.ENRICHED},and(enrichment_status.is.null,country_code.not.is.null)`)
+    .is('geolocation_payload', null);
+
+  if (error) {
+    throw error;
+  }
+
+  return count || 0;
+}
+
+function whereNeedsRiskScore(query) {
+  // Unscored users whose location is settled: enriched, given up on, already
+  // located, or without an IP to locate
+  return query
+    .is('risk_scored_at', null)
+    .or(`ip_address.is.null,country_code.not.is.null,enrichment_status.in.(${ENRICHMENT_STATUS.ENRICHED},${ENRICHMENT_STATUS.UNRESOLVABLE})`);
+}
+
+async function getUsersNeedingRiskScore(batchSize, afterUserId = null) {
+  let query = whereNeedsRiskScore(supabase
+    .from('id_users')
+    .select('user_id, email, ip_address, country_code, created_at'))
+    .order('user_id', { ascending: true })
+    .limit(batchSize);
+
+  if (afterUserId) {
+    query = query.gt('user_id', afterUserId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+async function countRelatedSignups(userIds, windowMinutes) {
+  if (!userIds || userIds.length === 0) {
+    return [];
+  }
+
+  // Same-IP and same-subnet neighbours in one query (see id_count_related_signups in migrations/)
+  const { data, error } = await supabase.rpc('id_count_related_signups', {
+    p_user_ids: userIds,
+    p_window_minutes: windowMinutes,
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+async function getUsersByNormalizedEmail(normalizedEmails) {
+  if (!normalizedEmails || normalizedEmails.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('id_users')
+    .select('user_id, email_normalized, created_at')
+    .in('email_normalized', normalizedEmails);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+async function applyRiskScores(updates) {
+  if (!updates || updates.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase.rpc('id_apply_risk_scores', { updates });
+
+  if (error) {
+    throw error;
+  }
+}
+
+async function clearRiskScores() {
+  const { count, error } = await supabase
+    .from('id_users')
+    .update({ risk_scored_at: null }, { count: 'exact' })
+    .not('risk_scored_at', 'is', null);
+
+  if (error) {
+    throw error;
+  }
+
+  return count || 0;
+}
+
+async function refreshUserRollups(since = null) {
+  // Recomputes the touched days in one statement (see id_refresh_user_rollups in migrations/)
+  const { data, error } = await supabase.rpc('id_refresh_user_rollups', { p_since: since });
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+async function countSignupsByHour(since) {
+  const { data, error } = await supabase.rpc('id_count_signups_by_hour', { p_since: since });
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map(row => ({ hour: new Date(row.hour).toISOString(), signups: row.signups }));
+}
+
+async function countSignupsByIp(since, minSignups) {
+  const { data, error } = await supabase.rpc('id_count_signups_by_ip', { p_since: since, p_min_signups: minSignups });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+async function insertOutboxEvents(rows) {
+  if (!rows || rows.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('id_event_outbox')
+    .upsert(rows, {
+      onConflict: 'event_id,endpoint',
+      ignoreDuplicates: true,
+    });
+
+  if (error) {
+    throw error;
+  }
+}
+
+async function getDueOutboxEvents(limit) {
+  const { data, error } = await supabase
+    .from('id_event_outbox')
+    .select('id, event_id, event_type, user_id, endpoint, payload, attempts, created_at')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+async function updateOutboxEvent(id, updates) {
+  const { error } = await supabase
+    .from('id_event_outbox')
+    .update(updates)
+    .eq('id', id);
+
+  if (error) {
+    throw error;
+  }
+}
+
+async function requeueDeadOutboxEvents() {
+  const { data, error } = await supabase
+    .from('id_event_outbox')
+    .update({ status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() })
+    .eq('status', 'dead')
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).length;
+}
+
+async function countOutboxEvents() {
+  const counts = {};
+  for (const status of ['pending', 'delivered', 'dead']) {
+    const { count, error } = await supabase
+      .from('id_event_outbox')
+      .select('id', { count: 'exact', head: true })
+      .eq('status', status);
+
+    if (error) {
+      throw error;
+    }
+    counts[status] = count || 0;
+  }
+  return counts;
+}
+
+async function getCachedGeolocation(ipAddress) {
+  const { data, error } = await supabase
+    .from('id_ip_geolocation_cache')
+    .select('ip_address, provider, payload, fetched_at')
+    .eq('ip_address', ipAddress)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+async function saveCachedGeolocation(ipAddress, payload, provider) {
+  const { error } = await supabase
+    .from('id_ip_geolocation_cache')
+    .upsert({
+      ip_address: ipAddress,
+      provider,
+      payload,
+      fetched_at: new Date().toISOString(),
+    }, {
+      onConflict: 'ip_address',
+    });
+
+  if (error) {
+    throw error;
+  }
+}
+
+async function insertReconciliationReport(report) {
+  const { error } = await supabase
+    .from('id_reconciliation_reports')
+    .insert(report);
+
+  if (error) {
+    throw error;
+  }
+}
+
+async function acquireLock(name, owner, ttlMs) {
+  const now = new Date();
+  const lock = {
+    name,
+    owner,
+    acquired_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + ttlMs).toISOString(),
+  };
+
+  // Plain insert: succeeds only if nobody holds the lock
+  const { error: insertError } = await supabase
+    .from('id_job_locks')
+    .insert(lock);
+
+  if (!insertError) {
+    return { acquired: true, recovered: false };
+  }
+  if (insertError.code !== '23505') {
+    throw insertError;
+  }
+
+  // Lock row exists - take it over only if its lease has expired (holder crashed)
+  const { data, error } = await supabase
+    .from('id_job_locks')
+    .update(lock)
+    .eq('name', name)
+    .lt('expires_at', now.toISOString())
+    .select('name');
+
+  if (error) {
+    throw error;
+  }
+
+  if (data && data.length > 0) {
+    return { acquired: true, recovered: true };
+  }
+
+  const { data: holder } = await supabase
+    .from('id_job_locks')
+    .select('owner, expires_at')
+    .eq('name', name)
+    .maybeSingle();
+
+  return { acquired: false, recovered: false, holder: holder || null };
+}
+
+async function renewLock(name, owner, ttlMs) {
+  const { data, error } = await supabase
+    .from('id_job_locks')
+    .update({ expires_at: new Date(Date.now() + ttlMs).toISOString() })
+    .eq('name', name)
+    .eq('owner', owner)
+    .select('name');
+
+  if (error) {
+    throw error;
+  }
+
+  return Boolean(data && data.length > 0);
+}
+
+async function releaseLock(name, owner) {
+  const { error } = await supabase
+    .from('id_job_locks')
+    .delete()
+    .eq('name', name)
+    .eq('owner', owner);
+
+  if (error) {
+    throw error;
   }
 }
 
 module.exports = {
   supabase,
-  getCheckpoint,
-  updateCheckpoint,
+  getSyncState,
+  setSyncState,
+  deleteSyncState,
   insertUsers,
+  getUsersByIds,
+  listUserIds,
+  insertQuarantinedUsers,
+  getUsersNeedingEnrichment,
+  countUsersNeedingEnrichment,
+  getUserForEnrichment,
+  getUserLocation,
+  updateUser,
+  applyEnrichmentUpdates,
+  resetEnrichmentForBackfill,
+  getUsersNeedingRiskScore,
+  countRelatedSignups,
+  getUsersByNormalizedEmail,
+  applyRiskScores,
+  clearRiskScores,
+  refreshUserRollups,
+  countSignupsByHour,
+  countSignupsByIp,
+  insertOutboxEvents,
+  getDueOutboxEvents,
+  updateOutboxEvent,
+  requeueDeadOutboxEvents,
+  countOutboxEvents,
+  getCachedGeolocation,
+  saveCachedGeolocation,
+  insertReconciliationReport,
+  acquireLock,
+  renewLock,
+  releaseLock,
 };
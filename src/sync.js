@@ -1,76 +1,137 @@
-const axios = require('axios');
+const crypto = require('crypto');
 const config = require('./config');
-const { getCheckpoint, updateCheckpoint, insertUsers } = require('./supabase');
-
-// Rate limiting: max 3 requests per 10 seconds
-const RATE_LIMIT_MAX_REQUESTS = 3;
-const RATE_LIMIT_WINDOW_MS = 10000; // 10 seconds
-const apiCallTimestamps = [];
+const { insertUsers, getUsersByIds, updateUser, insertQuarantinedUsers } = require('./storage');
+const {
+  getCheckpoint,
+  updateCheckpoint,
+  checkpointFromUsers,
+  findCheckpointIndex,
+  getFullSyncProgress,
+  updateFullSyncProgress,
+  clearFullSyncProgress,
+} = require('./checkpoint');
+const { diffUser, validateUpstreamUser } = require('./users');
+const { createDryRunReport, logDryRunReport } = require('./dry-run');
+const { refreshRollupsAfterRun } = require('./rollups');
+const { createOutboxRows, countEmittedEvents } = require('./outbox');
+const { createHttpClient } = require('./http-client');
+const { createRateLimiter } = require('./concurrency');
+const metrics = require('./metrics');
+const logger = require('./logger');
+
+// Upstream users API client: requests are spaced to UPSTREAM_REQUESTS_PER_SECOND
+// (0.3 = 3 requests per 10 seconds) and slowed further when the API's rate limit
+// headers say so; timeouts, network errors and 5xx are retried with backoff
+const upstreamClient = createHttpClient({
+  name: 'Upstream API',
+  timeoutMs: config.UPSTREAM_TIMEOUT_MS,
+  maxRetries: config.UPSTREAM_MAX_RETRIES,
+  retryBaseMs: config.UPSTREAM_RETRY_BASE_MS,
+  retryMaxMs: config.UPSTREAM_RETRY_MAX_MS,
+  rateLimiter: createRateLimiter(config.UPSTREAM_REQUESTS_PER_SECOND),
+  auth: {
+    type: config.UPSTREAM_AUTH,
+    token: config.UPSTREAM_AUTH_TOKEN,
+    secret: config.UPSTREAM_HMAC_SECRET,
+    header: config.UPSTREAM_HMAC_HEADER,
+  },
+  onRateLimitWait(waitMs) {
+    logger.info(`Rate limit: waited ${Math.ceil(waitMs / 1000)} seconds before the API call`, { waitMs });
+    metrics.rateLimitWaits.inc();
+    metrics.rateLimitWaitSeconds.inc({}, waitMs / 1000);
+  },
+});
 
 /**
- * Rate limiter: ensures we don't exceed 3 API calls per 10 seconds
- * @returns {Promise<void>}
+ * Split a page of upstream users into valid ones and the rest. Users failing
+ * validateUpstreamUser, and repeats of a user_id already seen on the page, are
+ * written to id_user_quarantine with the reason instead of failing the page's upsert.
+ * @param {Array} users - Users as returned by the upstream API
+ * @param {number} page - Page the users came from
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report to record the quarantine in instead
+ * @returns {Promise<Array>} The valid users, in page order
  */
-async function waitForRateLimit() {
-  const now = Date.now();
-  
-  // Remove timestamps older than 10 seconds
-  while (apiCallTimestamps.length > 0 && now - apiCallTimestamps[0] >= RATE_LIMIT_WINDOW_MS) {
-    apiCallTimestamps.shift();
-  }
-
-  // If we've made 3 calls in the last 10 seconds, wait
-  if (apiCallTimestamps.length >= RATE_LIMIT_MAX_REQUESTS) {
-    const oldestCallTime = apiCallTimestamps[0];
-    const waitTime = RATE_LIMIT_WINDOW_MS - (now - oldestCallTime) + 100; // Add 100ms buffer
-    console.log(`Rate limit: Waiting ${Math.ceil(waitTime / 1000)} seconds before next API call...`);
-    await new Promise(resolve => setTimeout(resolve, waitTime));
-    
-    // Clean up old timestamps again after waiting
-    const newNow = Date.now();
-    while (apiCallTimestamps.length > 0 && newNow - apiCallTimestamps[0] >= RATE_LIMIT_WINDOW_MS) {
-      apiCallTimestamps.shift();
+async function quarantineInvalidUsers(users, page, { dryRun = null } = {}) {
+  const valid = [];
+  const records = [];
+  const seenIds = new Set();
+
+  for (const user of users) {
+    const problems = validateUpstreamUser(user);
+    if (problems.length === 0 && seenIds.has(user.user_id)) {
+      problems.push('duplicate user_id on page');
+    }
+    if (problems.length === 0) {
+      seenIds.add(user.user_id);
+      valid.push(user);
+      continue;
     }
+
+    const payload = user ?? null;
+    records.push({
+      user_id: typeof user?.user_id === 'string' && user.user_id.trim() ? user.user_id : null,
+      reason: problems.join('; '),
+      payload,
+      payload_hash: crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex'),
+      page,
+      quarantined_at: new Date().toISOString(),
+    });
   }
-}
 
-/**
- * Record an API call timestamp (call this after making the API request)
- */
-function recordApiCall() {
-  apiCallTimestamps.push(Date.now());
+  if (records.length === 0) {
+    return valid;
+  }
+
+  for (const record of records) {
+    logger.warn('Quarantining invalid upstream user', { page, userId: record.user_id, reason: record.reason });
+  }
+
+  if (dryRun) {
+    dryRun.quarantine.push(...records.map(({ user_id, reason, payload }) => ({ user_id, reason, page, payload })));
+    return valid;
+  }
+
+  metrics.usersQuarantined.inc({}, records.length);
+
+  try {
+    await insertQuarantinedUsers(records);
+  } catch (error) {
+    // The valid users still go through; the bad records are seen again next pass
+    logger.error('Error writing quarantined users', { page, error });
+  }
+
+  return valid;
 }
 
 /**
- * Fetch a single page from the API with rate limiting
+ * Fetch a single page from the API through the upstream client. Invalid users on the page
+ * are quarantined (see quarantineInvalidUsers) and left out of the result.
  * @param {number} page - Page number to fetch
- * @returns {Promise<Object>} API response with users and pagination
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report to record the quarantine in instead
+ * @returns {Promise<Object>} API response with users and pagination, plus `fetched`
+ *   (users upstream returned, valid or not), `quarantined` (users left out) and
+ *   `rateLimitWaits` (times the request waited for the rate limiter). A page whose
+ *   users were all quarantined is not the end of the data: check `fetched`.
  */
-async function fetchUsersPage(page) {
-  // Wait for rate limit before making the call
-  await waitForRateLimit();
-
+async function fetchUsersPage(page, { dryRun = null } = {}) {
+  let data;
+  let rateLimitWaits = 0;
   try {
     const url = `${config.API_BASE_URL}${page > 1 ? `?page=${page}` : ''}`;
-    const response = await axios.get(url, {
-      timeout: 30000, // 30 second timeout
+    const response = await upstreamClient.get(url, {
+      logFields: { page },
+      onRateLimitWait: () => { rateLimitWaits++; },
     });
 
-    // Record successful API call
-    recordApiCall();
-
     if (response.data.status !== 1) {
       throw new Error(`API returned status ${response.data.status}: ${response.data.message}`);
     }
 
-    return response.data.data;
+    metrics.upstreamPagesFetched.inc();
+    data = response.data.data;
   } catch (error) {
-    // Only record API call on network/request errors, not on response errors
-    // (response errors mean we did make a call)
-    if (error.response || error.request) {
-      recordApiCall();
-    }
-    
     if (error.response) {
       throw new Error(`API error: ${error.response.status} - ${error.response.statusText}`);
     }
@@ -79,28 +140,231 @@ async function fetchUsersPage(page) {
     }
     throw error;
   }
+
+  // A page without a users array can't be split record by record
+  if (!data || typeof data !== 'object' || (data.users != null && !Array.isArray(data.users))) {
+    throw new Error(`API returned a malformed page ${page}: expected data.users to be an array`);
+  }
+
+  const pageUsers = data.users || [];
+  const users = await quarantineInvalidUsers(pageUsers, page, { dryRun });
+  return { ...data, users, fetched: pageUsers.length, quarantined: pageUsers.length - users.length, rateLimitWaits };
 }
 
 /**
- * Fetch all pages for initial sync
- * @returns {Promise<Array>} Array of all users from all pages
+ * Counts reported by a sync run (see syncUsers)
+ * @returns {{inserted: number, updated: number, quarantined: number, pagesFetched: number, rateLimitWaits: number}}
  */
-async function fetchAllPages() {
-  const allUsers = [];
-  let currentPage = 1;
+function createSyncTotals() {
+  return { inserted: 0, updated: 0, quarantined: 0, pagesFetched: 0, rateLimitWaits: 0 };
+}
+
+/**
+ * Add a fetched page to run totals
+ * @param {Object} totals - From createSyncTotals
+ * @param {Object} data - Result of fetchUsersPage
+ */
+function addPageTotals(totals, data) {
+  totals.pagesFetched++;
+  totals.quarantined += data.quarantined;
+  totals.rateLimitWaits += data.rateLimitWaits;
+}
+
+/**
+ * Add what saving users wrote to run totals
+ * @param {Object} totals - From createSyncTotals
+ * @param {{inserted: number, updated: number}} saved - Result of saveUsers
+ */
+function addSavedTotals(totals, saved) {
+  totals.inserted += saved.inserted;
+  totals.updated += saved.updated;
+}
+
+/**
+ * Insert new users, count them in the sync metrics and emit user.created events
+ * @param {Array} users - Users as returned by the upstream API
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report to record the inserts in instead
+ *   (they are then left out of the metrics)
+ * @returns {Promise<number>} Number of users inserted
+ */
+async function insertNewUsers(users, { dryRun = null } = {}) {
+  if (dryRun) {
+    const rows = await insertUsers(users, { dryRun });
+    createOutboxRows('user.created', rows.map(row => ({ userId: row.user_id, data: { user: row } })), { dryRun });
+    return rows.length;
+  }
+
+  // One event per user; insertUsers only writes those of the users it inserts and
+  // fills in the stored row
+  const outbox = createOutboxRows('user.created', users.map(user => ({ userId: user.user_id, data: { user: null } })));
+  const rows = await insertUsers(users, { outbox });
+  metrics.usersInserted.inc({}, rows.length);
+  const insertedIds = new Set(rows.map(row => row.user_id));
+  countEmittedEvents(outbox.filter(row => insertedIds.has(row.user_id)));
+  return rows.length;
+}
+
+/**
+ * Apply upstream changes to existing users, record them in the change history and
+ * emit user.updated events
+ * @param {Array<{userId: string, diff: Object}>} changedUsers - Diffs from diffUser
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report to record the updates in instead
+ * @returns {Promise<number>} Number of users updated
+ */
+async function applyUserUpdates(changedUsers, { dryRun = null } = {}) {
+  if (dryRun) {
+    for (const { userId, diff } of changedUsers) {
+      dryRun.updates.push({ user_id: userId, updates: diff.updates, changes: diff.changes, ip_changed: diff.ipChanged });
+    }
+    createOutboxRows('user.updated', changedUsers.map(({ userId, diff }) => ({
+      userId,
+      data: { user_id: userId, changes: diff.changes, ip_changed: diff.ipChanged },
+    })), { dryRun });
+    return changedUsers.length;
+  }
+
+  let updated = 0;
+
+  for (const { userId, diff } of changedUsers) {
+    // The update, its history row and its event are written together; a user whose
+    // write failed still differs from upstream and is picked up again next time
+    const change = {
+      user_id: userId,
+      changed_at: new Date().toISOString(),
+      changes: diff.changes,
+      ip_changed: diff.ipChanged,
+    };
+    const outbox = createOutboxRows('user.updated', [{
+      userId,
+      data: { user_id: userId, changes: diff.changes, ip_changed: diff.ipChanged },
+    }]);
+
+    try {
+      await updateUser(userId, diff.updates, { change, outbox });
+    } catch (error) {
+      logger.error('Error updating user', { userId, error });
+      continue;
+    }
+
+    updated++;
+    metrics.usersUpdated.inc();
+    countEmittedEvents(outbox);
+    if (diff.ipChanged) {
+      logger.info('User changed IP address, location reset for re-enrichment', { userId });
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Save a page of upstream users: insert new users and, when SYNC_CAPTURE_UPDATES
+ * is on, update existing users whose upstream updatedAt is newer than ours.
+ * Updated users get a change-history row; an IP change also clears their location
+ * so enrichment runs again. Incremental syncs only pass the pages down to the
+ * checkpoint, so changes to older users are left to reconcileUsers.
+ * @param {Array} users - Users as returned by the upstream API
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report to record the writes in instead
+ * @returns {Promise<{inserted: number, updated: number}>}
+ */
+async function saveUsers(users, { dryRun = null } = {}) {
+  if (!users || users.length === 0) {
+    return { inserted: 0, updated: 0 };
+  }
+
+  if (!config.SYNC_CAPTURE_UPDATES) {
+    return { inserted: await insertNewUsers(users, { dryRun }), updated: 0 };
+  }
+
+  const storedUsers = await getUsersByIds(users.map(user => user.user_id));
+  const storedById = new Map(storedUsers.map(user => [user.user_id, user]));
+
+  const newUsers = users.filter(user => !storedById.has(user.user_id));
+  const inserted = await insertNewUsers(newUsers, { dryRun });
+
+  const changedUsers = [];
+  for (const user of users) {
+    const storedUser = storedById.get(user.user_id);
+    const diff = storedUser && diffUser(storedUser, user);
+    if (diff) {
+      changedUsers.push({ userId: user.user_id, diff });
+    }
+  }
+  const updated = await applyUserUpdates(changedUsers, { dryRun });
+
+  return { inserted, updated };
+}
+
+/**
+ * Save users in chunks of SYNC_UPSERT_CHUNK_SIZE
+ * @param {Array} users - Users as returned by the upstream API
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report to record the writes in instead
+ * @returns {Promise<{inserted: number, updated: number}>}
+ */
+async function saveUsersInChunks(users, { dryRun = null } = {}) {
+  let inserted = 0;
+  let updated = 0;
+
+  for (let i = 0; i < users.length; i += config.SYNC_UPSERT_CHUNK_SIZE) {
+    const result = await saveUsers(users.slice(i, i + config.SYNC_UPSERT_CHUNK_SIZE), { dryRun });
+    inserted += result.inserted;
+    updated += result.updated;
+  }
+
+  return { inserted, updated };
+}
+
+/**
+ * Full sync: walk every page and write each one as it arrives.
+ * Progress is saved after each page has been written, so a crash or restart resumes
+ * after the last page written instead of starting over; a failed write ends the run
+ * before the page is recorded. The checkpoint is built from the first page with a
+ * valid user (page 1 unless it was all quarantined) and stored once the last page is
+ * written; users created upstream in the meantime are picked up by the next
+ * incremental sync. Progress is saved from the page the checkpoint was built on.
+ * A dry run saves no progress and records the checkpoint move in the report.
+ * @param {Object|null} progress - Progress from getFullSyncProgress to resume from
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report to record the writes in instead
+ * @returns {Promise<Object>} Totals for this run (see createSyncTotals)
+ */
+async function runFullSync(progress = null, { dryRun = null } = {}) {
+  let currentPage = progress ? progress.page + 1 : 1;
+  let checkpoint = progress?.checkpoint || null;
+  const startedAt = progress?.startedAt || new Date().toISOString();
   let hasNextPage = true;
+  const totals = createSyncTotals();
 
-  console.log('Starting full sync - fetching all pages...');
+  if (progress) {
+    logger.info(`Resuming full sync started at ${startedAt} from page ${currentPage}...`, { page: currentPage, startedAt });
+  } else {
+    logger.info('Starting full sync - fetching all pages...');
+  }
 
   while (hasNextPage) {
     try {
-      console.log(`Fetching page ${currentPage}...`);
-      const data = await fetchUsersPage(currentPage);
+      logger.info('Fetching page', { page: currentPage });
+      const data = await fetchUsersPage(currentPage, { dryRun });
       const users = data.users || [];
+      addPageTotals(totals, data);
+
+      if (!checkpoint && users.length > 0) {
+        checkpoint = checkpointFromUsers(users, config.SYNC_CHECKPOINT_RECENT_IDS);
+      }
 
+      // Save page (a re-run after a lost checkpoint also picks up changes)
+      const saved = await saveUsersInChunks(users, { dryRun });
+      addSavedTotals(totals, saved);
       if (users.length > 0) {
-        allUsers.push(...users);
-        console.log(`Fetched ${users.length} users from page ${currentPage}`);
+        logger.info('Saved page', { page: currentPage, ...saved });
+      }
+
+      if (checkpoint && !dryRun) {
+        await updateFullSyncProgress({ page: currentPage, startedAt, checkpoint });
       }
 
       hasNextPage = data.pagination?.hasNextPage || false;
@@ -108,62 +372,160 @@ async function fetchAllPages() {
 
       // Rate limiting is handled in fetchUsersPage, no need for additional delay
     } catch (error) {
-      console.error(`Error fetching page ${currentPage}:`, error.message);
+      logger.error('Error fetching page', { page: currentPage, error });
       throw error;
     }
   }
 
-  console.log(`Full sync complete. Total users fetched: ${allUsers.length}`);
-  return allUsers;
+  if (checkpoint) {
+    await updateCheckpoint(checkpoint, { dryRun });
+    if (!dryRun) {
+      await clearFullSyncProgress();
+    }
+    logger.info('Full sync complete. Checkpoint set to latest user.', { inserted: totals.inserted, updated: totals.updated });
+  } else {
+    logger.info('No users found in API. Skipping sync.');
+  }
+
+  return totals;
 }
 
 /**
- * Fetch pages incrementally starting from page 1 until checkpoint is found
- * @param {string} checkpointUserId - The user_id checkpoint to stop at
- * @returns {Promise<string>} The first user_id from page 1 (new checkpoint)
+ * Date range sync (backfill): walk the pages from page 1 and save the users created
+ * within the range, stopping at the first page that reaches users created before
+ * it. The checkpoint and full sync progress are left alone.
+ * @param {{from: Date, to: Date}} range - createdAt bounds, both inclusive
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report to record the writes in instead
+ * @returns {Promise<Object>} Totals for this run (see createSyncTotals)
  */
-async function fetchIncrementalPages(checkpointUserId) {
+async function runRangeSync(range, { dryRun = null } = {}) {
   let currentPage = 1;
   let hasNextPage = true;
-  let firstUserIdFromPage1 = null;
-  let totalInserted = 0;
+  const totals = createSyncTotals();
 
-  console.log(`Starting incremental sync. Looking for checkpoint: ${checkpointUserId}`);
+  logger.info('Starting date range sync', { from: range.from.toISOString(), to: range.to.toISOString() });
 
   while (hasNextPage) {
     try {
-      console.log(`Fetching page ${currentPage}...`);
-      const data = await fetchUsersPage(currentPage);
+      logger.info('Fetching page', { page: currentPage });
+      const data = await fetchUsersPage(currentPage, { dryRun });
       const users = data.users || [];
+      addPageTotals(totals, data);
+
+      // Pages are newest first, so the range starts somewhere down the list
+      const createdAt = users.map(user => new Date(user.createdAt).getTime());
+      const inRange = users.filter((user, i) => createdAt[i] >= range.from.getTime() && createdAt[i] <= range.to.getTime());
+      if (inRange.length > 0) {
+        const saved = await saveUsersInChunks(inRange, { dryRun });
+        addSavedTotals(totals, saved);
+        logger.info('Saved page', { page: currentPage, ...saved });
+      }
 
-      if (users.length === 0) {
-        console.log(`Page ${currentPage} is empty, stopping.`);
+      if (createdAt.some(time => time < range.from.getTime())) {
+        logger.info('Reached users created before the range, stopping.', { page: currentPage });
+        break;
+      }
+
+      hasNextPage = data.pagination?.hasNextPage || false;
+      currentPage++;
+    } catch (error) {
+      logger.error('Error fetching page', { page: currentPage, error });
+      throw error;
+    }
+  }
+
+  logger.info('Date range sync complete.', { inserted: totals.inserted, updated: totals.updated });
+  return totals;
+}
+
+/**
+ * Fetch pages incrementally starting from page 1 until the checkpoint is found.
+ * The checkpoint boundary is the first user that is one of the checkpoint's recent
+ * IDs or was created before it (see findCheckpointIndex). If no boundary is found
+ * within SYNC_MAX_PAGE_DEPTH pages, falls back to a bounded reconciliation pass:
+ * keep walking (at most SYNC_RECONCILIATION_MAX_PAGES more pages) until a page
+ * whose users are all already in the database. Pages whose users were all
+ * quarantined are walked past; only a page upstream returned empty ends the walk.
+ * @param {Object} checkpoint - Checkpoint from getCheckpoint
+ * @param {Object} [options]
+ * @param {Object|null} [options.dryRun] - Dry-run report to record the writes in instead
+ * @returns {Promise<Object>} `checkpoint`, the new checkpoint built from the first
+ *   valid user (the current one when every user newer than it was quarantined), and
+ *   the totals for this run (see createSyncTotals)
+ */
+async function fetchIncrementalPages(checkpoint, { dryRun = null } = {}) {
+  let currentPage = 1;
+  let hasNextPage = true;
+  let newCheckpoint = null;
+  let pageOneFetched = false;
+  const totals = createSyncTotals();
+  let reconciling = false;
+
+  logger.info('Starting incremental sync', { checkpointUserId: checkpoint.userId });
+
+  while (hasNextPage) {
+    try {
+      logger.info('Fetching page', { page: currentPage });
+      const data = await fetchUsersPage(currentPage, { dryRun });
+      const users = data.users || [];
+      addPageTotals(totals, data);
+      pageOneFetched ||= currentPage === 1 && data.fetched > 0;
+
+      if (data.fetched === 0) {
+        logger.info('Page is empty, stopping.', { page: currentPage });
         break;
       }
 
-      // Store first user_id from page 1 as new checkpoint
-      if (currentPage === 1 && users.length > 0) {
-        firstUserIdFromPage1 = users[0].user_id;
+      // Build the new checkpoint from the first valid user (page 1 unless it was all quarantined)
+      if (!newCheckpoint && users.length > 0) {
+        newCheckpoint = checkpointFromUsers(users, config.SYNC_CHECKPOINT_RECENT_IDS);
+      }
+
+      if (users.length === 0) {
+        // Walked past like any other page without the checkpoint, depth limits included
+        logger.info('Every user on the page was quarantined, continuing.', { page: currentPage });
       }
 
-      // Check if checkpoint user_id is in this page
-      const checkpointIndex = users.findIndex(user => user.user_id === checkpointUserId);
-      
-      if (checkpointIndex !== -1) {
-        // Found checkpoint - only insert users before the checkpoint
-        const usersToInsert = users.slice(0, checkpointIndex);
-        if (usersToInsert.length > 0) {
-          const inserted = await insertUsers(usersToInsert);
-          totalInserted += inserted;
-          console.log(`Inserted ${inserted} new users from page ${currentPage} (before checkpoint)`);
+      if (reconciling) {
+        const storedUsers = await getUsersByIds(users.map(user => user.user_id));
+        const saved = await saveUsers(users, { dryRun });
+        addSavedTotals(totals, saved);
+        logger.info('Reconciliation: saved page', { page: currentPage, ...saved });
+
+        if (users.length > 0 && storedUsers.length === users.length) {
+          logger.info('All users on page were already synced, stopping reconciliation.', { page: currentPage });
+          break;
+        }
+        if (currentPage >= config.SYNC_MAX_PAGE_DEPTH + config.SYNC_RECONCILIATION_MAX_PAGES) {
+          logger.warn(`Reconciliation stopped after ${config.SYNC_RECONCILIATION_MAX_PAGES} pages without reaching already-synced users. Older gaps are left to the next full or reconciliation pass.`, { page: currentPage });
+          break;
         }
-        console.log(`Found checkpoint user_id on page ${currentPage}, stopping sync.`);
-        break;
       } else {
-        // Checkpoint not found - insert all users from this page
-        const inserted = await insertUsers(users);
-        totalInserted += inserted;
-        console.log(`Inserted ${users.length} users from page ${currentPage}`);
+        const checkpointIndex = findCheckpointIndex(users, checkpoint);
+
+        if (checkpointIndex !== -1) {
+          // Found checkpoint - users before it are new. When capturing updates, the
+          // already-synced users on this page are compared too since we have them anyway
+          const usersToSave = config.SYNC_CAPTURE_UPDATES ? users : users.slice(0, checkpointIndex);
+          if (usersToSave.length > 0) {
+            const saved = await saveUsers(usersToSave, { dryRun });
+            addSavedTotals(totals, saved);
+            logger.info('Saved checkpoint page', { page: currentPage, ...saved });
+          }
+          logger.info('Found checkpoint, stopping sync.', { page: currentPage });
+          break;
+        }
+
+        // Checkpoint not found - save all users from this page
+        const saved = await saveUsers(users, { dryRun });
+        addSavedTotals(totals, saved);
+        logger.info('Saved page', { page: currentPage, ...saved });
+
+        if (currentPage >= config.SYNC_MAX_PAGE_DEPTH) {
+          logger.warn(`Checkpoint not found within ${config.SYNC_MAX_PAGE_DEPTH} pages (deleted or reordered upstream?). Falling back to a bounded reconciliation pass.`, { page: currentPage, checkpointUserId: checkpoint.userId });
+          reconciling = true;
+        }
       }
 
       hasNextPage = data.pagination?.hasNextPage || false;
@@ -171,75 +533,106 @@ async function fetchIncrementalPages(checkpointUserId) {
 
       // Rate limiting is handled in fetchUsersPage, no need for additional delay
     } catch (error) {
-      console.error(`Error fetching page ${currentPage}:`, error.message);
+      logger.error('Error fetching page', { page: currentPage, error });
       throw error;
     }
   }
 
-  console.log(`Incremental sync complete. Total users inserted: ${totalInserted}`);
+  logger.info('Incremental pages complete', { inserted: totals.inserted, updated: totals.updated });
+
+  if (!newCheckpoint && pageOneFetched) {
+    // Every user seen was quarantined: nothing newer than the checkpoint was stored
+    logger.warn('No valid users found, keeping the current checkpoint.', { checkpointUserId: checkpoint.userId });
+    newCheckpoint = checkpoint;
+  }
 
-  if (!firstUserIdFromPage1) {
-    // If we didn't get page 1, fetch it to get the latest user_id
+  if (!newCheckpoint) {
+    // If we didn't get page 1, fetch it to build the checkpoint
     try {
-      const data = await fetchUsersPage(1);
+      const data = await fetchUsersPage(1, { dryRun });
       const users = data.users || [];
+      addPageTotals(totals, data);
       if (users.length > 0) {
-        firstUserIdFromPage1 = users[0].user_id;
+        newCheckpoint = checkpointFromUsers(users, config.SYNC_CHECKPOINT_RECENT_IDS);
       }
     } catch (error) {
-      console.error('Error fetching page 1 for checkpoint:', error.message);
+      logger.error('Error fetching page 1 for checkpoint', { page: 1, error });
       throw error;
     }
   }
 
-  if (!firstUserIdFromPage1) {
+  if (!newCheckpoint) {
     throw new Error('Could not determine checkpoint - page 1 is empty');
   }
 
-  return firstUserIdFromPage1;
+  return { checkpoint: newCheckpoint, ...totals };
 }
 
 /**
  * Main sync orchestrator
- * Handles both initial sync and incremental sync
+ * Handles both initial sync and incremental sync, then refreshes the dashboard
+ * rollups. `full` forces a full sync; `range` syncs only the users created within
+ * it (see runRangeSync).
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Write nothing; return (and log) a report of the
+ *   intended inserts, updates, quarantined users and checkpoint move instead (default DRY_RUN)
+ * @param {boolean} [options.full] - Run a full sync regardless of the checkpoint
+ * @param {{from: Date, to: Date}|null} [options.range] - createdAt range to sync
+ * @returns {Promise<{mode: string, inserted: number, updated: number, quarantined: number, pagesFetched: number, rateLimitWaits: number, report?: Object}>}
+ *   mode is 'full', 'resumed-full', 'incremental' or 'range'; report is only set for a dry run
  */
-async function syncUsers() {
+async function syncUsers({ dryRun = config.DRY_RUN, full = false, range = null } = {}) {
+  const report = dryRun ? createDryRunReport() : null;
+
+  const finish = async (mode, totals) => {
+    await refreshRollupsAfterRun(report);
+    const result = {
+      mode,
+      inserted: totals.inserted,
+      updated: totals.updated,
+      quarantined: totals.quarantined,
+      pagesFetched: totals.pagesFetched,
+      rateLimitWaits: totals.rateLimitWaits,
+    };
+    if (report) {
+      logDryRunReport(report);
+      result.report = report;
+    }
+    return result;
+  };
+
   try {
-    console.log('Starting sync...');
+    logger.info(dryRun ? 'Starting sync (dry run)...' : 'Starting sync...');
+    if (range) {
+      return finish('range', await runRangeSync(range, { dryRun: report }));
+    }
+    if (full) {
+      logger.info('Performing a full sync as requested...');
+      return finish('full', await runFullSync(null, { dryRun: report }));
+    }
+
     const checkpoint = await getCheckpoint();
+    const progress = await getFullSyncProgress();
+
+    if (progress) {
+      // A previous full sync was interrupted - finish it first
+      return finish('resumed-full', await runFullSync(progress, { dryRun: report }));
+    }
 
     if (!checkpoint) {
       // First run - full sync
-      console.log('No checkpoint found. Performing initial full sync...');
-      const allUsers = await fetchAllPages();
-
-      if (allUsers.length > 0) {
-        // Insert all users
-        const inserted = await insertUsers(allUsers);
-        console.log(`Inserted ${inserted} users into database`);
-
-        // Get first user_id from page 1 as checkpoint
-        const firstPageData = await fetchUsersPage(1);
-        const firstPageUsers = firstPageData.users || [];
-        if (firstPageUsers.length > 0) {
-          const latestUserId = firstPageUsers[0].user_id;
-          await updateCheckpoint(latestUserId);
-          console.log('Initial sync complete. Checkpoint set to latest user.');
-        } else {
-          throw new Error('Page 1 is empty - cannot set checkpoint');
-        }
-      } else {
-        console.log('No users found in API. Skipping sync.');
-      }
-    } else {
-      // Incremental sync
-      console.log(`Checkpoint found: ${checkpoint}. Performing incremental sync...`);
-      const newCheckpoint = await fetchIncrementalPages(checkpoint);
-      await updateCheckpoint(newCheckpoint);
-      console.log('Incremental sync complete.');
+      logger.info('No checkpoint found. Performing initial full sync...');
+      return finish('full', await runFullSync(null, { dryRun: report }));
     }
+
+    // Incremental sync
+    logger.info('Checkpoint found. Performing incremental sync...', { checkpointUserId: checkpoint.userId });
+    const { checkpoint: newCheckpoint, ...totals } = await fetchIncrementalPages(checkpoint, { dryRun: report });
+    await updateCheckpoint(newCheckpoint, { dryRun: report });
+    logger.info('Incremental sync complete.');
+    return finish('incremental', totals);
   } catch (error) {
-    console.error('Sync error:', error.message);
+    logger.error('Sync error', { error });
     throw error;
   }
 }
@@ -247,6 +640,11 @@ async function syncUsers() {
 module.exports = {
   syncUsers,
   fetchUsersPage,
-  fetchAllPages,
+  quarantineInvalidUsers,
+  runFullSync,
+  runRangeSync,
   fetchIncrementalPages,
+  saveUsers,
+  insertNewUsers,
+  applyUserUpdates,
 };
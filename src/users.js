@@ -0,0 +1,193 @@
+const { ipSubnet } = require('./ip-classification');
+
+// Location columns filled by enrichment, each only while still null (see
+// GEOLOCATION_FIELD_MAPPING for where each provider's values come from). A user
+// is an enrichment candidate while one of these is missing.
+const LOCATION_FIELDS = [
+  'country_name_official',
+  'state',
+  'city',
+  'district',
+  'country_code',
+];
+
+// Further columns filled the same way, which don't make a user a candidate: most
+// providers leave some of them empty, and users enriched before they were added
+// are queued by `bin/avici reenrich`
+const EXTENDED_LOCATION_FIELDS = [
+  'latitude',
+  'longitude',
+  'timezone',
+  'asn',
+  'isp',
+  'organization',
+  'is_vpn',
+  'is_proxy',
+  'is_tor',
+];
+
+const ENRICHED_FIELDS = [...LOCATION_FIELDS, ...EXTENDED_LOCATION_FIELDS];
+
+// Columns cleared when a user's IP changes so enrichment runs again for the new IP
+const ENRICHMENT_RESET = {
+  ...Object.fromEntries(ENRICHED_FIELDS.map(field => [field, null])),
+  geolocation_provider: null,
+  geolocation_payload: null,
+  enrichment_status: null,
+  enrichment_attempts: 0,
+  enrichment_last_attempt_at: null,
+  enrichment_next_attempt_at: null,
+  enrichment_last_error: null,
+};
+
+// Columns cleared when a user's email or IP changes so the risk score is recomputed
+// (the previous score stays visible until then)
+const RISK_RESET = {
+  risk_scored_at: null,
+};
+
+/**
+ * Whether a location column still needs a value (false is a value)
+ * @param {*} value - Current column value
+ * @returns {boolean}
+ */
+function isMissingValue(value) {
+  return value === null || value === undefined || value === '';
+}
+
+// Upstream-owned columns compared when an upstream user changes. A created_at change
+// is kept in the change history so the rollups can recompute the user's old signup day.
+const SYNCED_FIELDS = ['email', 'ip_address', 'identifier_type', 'created_at', 'updated_at'];
+
+// Synced columns compared as points in time (the database and the API format them differently)
+const TIMESTAMP_FIELDS = new Set(['created_at', 'updated_at']);
+
+// Values of id_users.enrichment_status (null means never attempted)
+const ENRICHMENT_STATUS = {
+  ENRICHED: 'enriched', // API answered; whatever fields it returned are stored
+  RETRY: 'retry', // Last attempt failed; retry after enrichment_next_attempt_at
+  UNRESOLVABLE: 'unresolvable', // Terminal: private/invalid IP, rejected IP or out of attempts
+  BACKFILL: 'backfill', // Located before the extended columns; queued by `reenrich` to fill them
+};
+
+// Loose shape checks: enough to keep garbage out of id_users, not full RFC parsing
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function isTimestamp(value) {
+  return typeof value === 'string' && TIMESTAMP_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Check an upstream API user before it is mapped onto an id_users row
+ * @param {*} user - User object as returned by the upstream API
+ * @returns {Array<string>} Problems found; empty when the user is valid
+ */
+function validateUpstreamUser(user) {
+  if (!user || typeof user !== 'object' || Array.isArray(user)) {
+    return ['not an object'];
+  }
+
+  const problems = [];
+  if (typeof user.user_id !== 'string' || user.user_id.trim() === '') {
+    problems.push('missing user_id');
+  }
+  if (user.email != null && (typeof user.email !== 'string' || !EMAIL_PATTERN.test(user.email))) {
+    problems.push(`malformed email: ${JSON.stringify(user.email)}`);
+  }
+  if (!isTimestamp(user.createdAt)) {
+    problems.push(`missing or invalid createdAt: ${JSON.stringify(user.createdAt ?? null)}`);
+  }
+  if (user.updatedAt != null && !isTimestamp(user.updatedAt)) {
+    problems.push(`invalid updatedAt: ${JSON.stringify(user.updatedAt)}`);
+  }
+  if (user.ipAddress != null && typeof user.ipAddress !== 'string') {
+    problems.push('ipAddress is not a string');
+  }
+  if (user.identifierType != null && typeof user.identifierType !== 'string') {
+    problems.push('identifierType is not a string');
+  }
+  return problems;
+}
+
+/**
+ * Map an upstream API user onto an id_users row (with the IP's subnet, see ipSubnet)
+ * @param {Object} user - User object as returned by the upstream API
+ * @param {string} ingestedAt - ISO timestamp recorded as ingested_at
+ * @returns {Object} Row for the id_users table
+ */
+function toDbUser(user, ingestedAt = new Date().toISOString()) {
+  return {
+    user_id: user.user_id,
+    email: user.email,
+    ip_address: user.ipAddress || null,
+    ip_subnet: ipSubnet(user.ipAddress),
+    identifier_type: user.identifierType,
+    created_at: user.createdAt,
+    updated_at: user.updatedAt,
+    ingested_at: ingestedAt,
+  };
+}
+
+/**
+ * Compare an upstream user with the stored row.
+ * A change is only reported when upstream updatedAt is newer than the stored
+ * updated_at (or the stored value is missing) and a synced column differs.
+ * @param {Object} storedUser - Current id_users row (synced columns)
+ * @param {Object} upstreamUser - User object as returned by the upstream API
+ * @returns {{updates: Object, changes: Object, ipChanged: boolean}|null} Row updates
+ *   (including the enrichment and risk score resets when the IP or email changed)
+ *   and a field -> {from, to} map for the change history, or null when nothing
+ *   needs updating
+ */
+function diffUser(storedUser, upstreamUser) {
+  const upstreamRow = toDbUser(upstreamUser);
+  const storedTime = storedUser.updated_at ? new Date(storedUser.updated_at).getTime() : NaN;
+  const upstreamTime = new Date(upstreamRow.updated_at).getTime();
+
+  if (!Number.isNaN(storedTime) && !(upstreamTime > storedTime)) {
+    return null;
+  }
+
+  const changes = {};
+  for (const field of SYNCED_FIELDS) {
+    const from = storedUser[field] ?? null;
+    const to = upstreamRow[field] ?? null;
+    const same = TIMESTAMP_FIELDS.has(field) ? new Date(from).getTime() === new Date(to).getTime() : from === to;
+    if (!same) {
+      changes[field] = { from, to };
+    }
+  }
+
+  // A bumped updatedAt alone is not worth a history row
+  if (Object.keys(changes).every(field => field === 'updated_at')) {
+    return null;
+  }
+
+  const updates = {};
+  for (const [field, { to }] of Object.entries(changes)) {
+    updates[field] = to;
+  }
+
+  const ipChanged = 'ip_address' in changes;
+  if (ipChanged) {
+    Object.assign(updates, ENRICHMENT_RESET, { ip_subnet: upstreamRow.ip_subnet });
+  }
+  if (ipChanged || 'email' in changes) {
+    Object.assign(updates, RISK_RESET);
+  }
+
+  return { updates, changes, ipChanged };
+}
+
+module.exports = {
+  LOCATION_FIELDS,
+  EXTENDED_LOCATION_FIELDS,
+  ENRICHED_FIELDS,
+  isMissingValue,
+  SYNCED_FIELDS,
+  ENRICHMENT_STATUS,
+  diffUser,
+  toDbUser,
+  validateUpstreamUser,
+};
@@ -0,0 +1,86 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// Only sync_stale is enabled; notifications go to a webhook sink that fails while
+// sinkStatus is an error status (400, which the sink client doesn't retry)
+Object.assign(process.env, {
+  ALERT_SINKS: 'webhook',
+  ALERT_SYNC_STALE_MINUTES: '60',
+  ALERT_ENRICHMENT_FAILURE_PERCENT: '0',
+  ALERT_SIGNUP_BASELINE_HOURS: '0',
+  ALERT_SIGNUPS_PER_IP: '0',
+});
+
+let server;
+let sinkStatus = 200;
+let store;
+let evaluateAlerts;
+
+before(async () => {
+  server = await startServer(() => ({ status: sinkStatus, body: {} }));
+  process.env.ALERT_WEBHOOK_URL = `${server.url}/alerts`;
+  store = require('../src/memory-store');
+  ({ evaluateAlerts } = require('../src/alerts'));
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  store.reset();
+  sinkStatus = 200;
+});
+
+// An enrichment run triggers sync_stale without recording a successful sync
+const run = { job: 'enrichment', status: 'succeeded', result: {} };
+
+function minutesAgo(minutes) {
+  return new Date(Date.now() - minutes * 60000).toISOString();
+}
+
+async function alertState() {
+  return JSON.parse(await store.getSyncState('alert_state:sync_stale') || '{}');
+}
+
+describe('evaluateAlerts', () => {
+  it('sends a firing alert again when no sink accepted it', async () => {
+    await store.setSyncState({ 'last_success_at:sync': minutesAgo(120) });
+    sinkStatus = 400;
+
+    assert.deepEqual(await evaluateAlerts(run), []);
+    assert.equal((await alertState()).sync.lastNotifiedAt, null);
+
+    sinkStatus = 200;
+    const [notification] = await evaluateAlerts(run);
+    assert.equal(notification.status, 'firing');
+    assert.equal((await alertState()).sync.lastNotifiedAt, notification.at);
+
+    assert.deepEqual(await evaluateAlerts(run), []);
+  });
+
+  it('keeps a resolved alert until its notification gets through', async () => {
+    await store.setSyncState({ 'last_success_at:sync': minutesAgo(120) });
+    await evaluateAlerts(run);
+    await store.setSyncState({ 'last_success_at:sync': minutesAgo(1) });
+    sinkStatus = 400;
+
+    assert.deepEqual(await evaluateAlerts(run), []);
+    assert.ok((await alertState()).sync);
+
+    sinkStatus = 200;
+    const [notification] = await evaluateAlerts(run);
+    assert.equal(notification.status, 'resolved');
+    assert.deepEqual(await alertState(), {});
+  });
+
+  it('treats a sync that never succeeded as stale, counted from the first check', async () => {
+    assert.deepEqual(await evaluateAlerts(run), []);
+    assert.ok(await store.getSyncState('alert_watch_started_at:sync'));
+
+    await store.setSyncState({ 'alert_watch_started_at:sync': minutesAgo(90) });
+    const [notification] = await evaluateAlerts(run);
+
+    assert.equal(notification.status, 'firing');
+    assert.match(notification.summary, /No successful sync recorded/);
+  });
+});
@@ -0,0 +1,219 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// ipgeolocation.io v2 answers keyed by IP; anything else is a 404
+const LOCATIONS = {
+  '8.8.8.8': { country_name_official: 'United States of America', state_prov: 'California', city: 'Mountain View', district: 'Downtown', country_code2: 'US', latitude: '37.42240' },
+  '1.1.1.1': { country_name_official: 'Australia', state_prov: 'Queensland', city: 'Brisbane', district: 'Centre', country_code2: 'AU' },
+  '2001:4860:4860::8888': { country_name_official: 'United States of America', state_prov: 'California', city: 'Mountain View', district: 'Downtown', country_code2: 'US' },
+};
+
+let server;
+let store;
+let enrichUsers;
+let enrichSingleUser;
+let expireGeolocationCache;
+let metrics;
+
+before(async () => {
+  server = await startServer((url) => {
+    const location = LOCATIONS[url.searchParams.get('ip')];
+    return location ? { body: { ip: url.searchParams.get('ip'), location } } : { status: 404, body: { message: 'not found' } };
+  });
+  process.env.IP_GEOLOCATION_API_URL = `${server.url}/ipgeo`;
+  store = require('../src/memory-store');
+  ({ enrichUsers, enrichSingleUser, expireGeolocationCache } = require('../src/enrichment'));
+  metrics = require('../src/metrics');
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  store.reset();
+});
+
+async function insert(...users) {
+  await store.insertUsers(users.map(([userId, ipAddress]) => ({
+    user_id: userId,
+    email: `${userId}@example.com`,
+    ipAddress,
+    createdAt: '2024-01-01T00:00:00Z',
+  })));
+}
+
+// A user located before the extended columns and the raw payload existed
+async function insertLegacyLocated(userId, ipAddress) {
+  await insert([userId, ipAddress]);
+  await store.updateUser(userId, {
+    country_name_official: 'United States of America',
+    state: 'California',
+    city: 'Mountain View',
+    district: 'Downtown',
+    country_code: 'US',
+  });
+}
+
+describe('enrichUsers', () => {
+  it('fills the location columns of every candidate and marks them enriched', async () => {
+    await insert(['u1', '8.8.8.8'], ['u2', '1.1.1.1']);
+
+    const result = await enrichUsers({ dryRun: false });
+
+    assert.equal(result.totalProcessed, 2);
+    assert.equal(result.totalEnriched, 2);
+    const location = await store.getUserLocation('u2');
+    assert.equal(location.city, 'Brisbane');
+    assert.equal(location.country_code, 'AU');
+    assert.equal(await store.countUsersNeedingEnrichment(), 0);
+  });
+
+  it('looks each IP up once and serves repeats from the cache', async () => {
+    await insert(['u1', '8.8.8.8'], ['u2', '8.8.8.8']);
+    const requestsBefore = server.requests.length;
+
+    await enrichUsers({ dryRun: false });
+    await insert(['u3', '8.8.8.8']);
+    const result = await enrichUsers({ dryRun: false });
+
+    assert.equal(server.requests.length - requestsBefore, 1);
+    assert.equal(result.cacheHits, 1);
+    assert.equal(result.cacheMisses, 0);
+    assert.equal((await store.getUserLocation('u3')).city, 'Mountain View');
+  });
+
+  it('serves one IPv6 address from the cache however it is written', async () => {
+    await insert(['u1', '2001:4860:4860::8888'], ['u2', '2001:4860:4860:0000:0000:0000:0000:8888']);
+    const requestsBefore = server.requests.length;
+
+    await enrichUsers({ dryRun: false });
+    await insert(['u3', '2001:4860:4860:0:0:0:0:8888']);
+    const result = await enrichUsers({ dryRun: false });
+
+    assert.equal(server.requests.length - requestsBefore, 1);
+    assert.equal(result.cacheHits, 1);
+    assert.equal((await store.getUserLocation('u2')).city, 'Mountain View');
+  });
+
+  it('reads the cache cutoff once per run, not per lookup', async () => {
+    await insert(['u1', '8.8.8.8'], ['u2', '1.1.1.1']);
+    await enrichUsers({ dryRun: false });
+    await insert(['u3', '8.8.8.8'], ['u4', '1.1.1.1']);
+    const getSyncState = store.getSyncState;
+    const keys = [];
+    store.getSyncState = (key) => {
+      keys.push(key);
+      return getSyncState(key);
+    };
+
+    try {
+      const result = await enrichUsers({ dryRun: false });
+      assert.equal(result.cacheHits, 2);
+      assert.equal(keys.filter(key => key === 'geolocation_cache_valid_from').length, 1);
+    } finally {
+      store.getSyncState = getSyncState;
+    }
+  });
+
+  it('does not look up non-public IPs and gives up on them', async () => {
+    await insert(['u1', '10.0.0.1']);
+    const requestsBefore = server.requests.length;
+
+    const result = await enrichUsers({ dryRun: false });
+
+    assert.equal(result.totalSkipped, 1);
+    assert.equal(result.totalUnresolvable, 0);
+    assert.equal(server.requests.length, requestsBefore);
+    assert.equal(await store.countUsersNeedingEnrichment(), 0);
+    assert.equal((await store.getUserLocation('u1')).city, null);
+  });
+
+  it('marks IPs the provider rejects as unresolvable', async () => {
+    await insert(['u1', '9.9.9.9']);
+
+    const result = await enrichUsers({ dryRun: false });
+
+    assert.equal(result.totalUnresolvable, 1);
+    assert.equal(await store.countUsersNeedingEnrichment(), 0);
+  });
+
+  it('finishes the run when risk scoring fails', async () => {
+    await insert(['u1', '8.8.8.8']);
+    const getUsersNeedingRiskScore = store.getUsersNeedingRiskScore;
+    store.getUsersNeedingRiskScore = () => Promise.reject(new Error('risk query failed'));
+
+    try {
+      const result = await enrichUsers({ dryRun: false });
+      assert.equal(result.totalEnriched, 1);
+      assert.equal(result.totalRiskScored, 0);
+    } finally {
+      store.getUsersNeedingRiskScore = getUsersNeedingRiskScore;
+    }
+  });
+
+  it('leaves located users alone when only extended columns are missing', async () => {
+    await insertLegacyLocated('u1', '8.8.8.8');
+
+    assert.equal(await store.countUsersNeedingEnrichment(), 0);
+  });
+
+  it('fills the extended columns of the users queued for the backfill', async () => {
+    await insertLegacyLocated('u1', '8.8.8.8');
+    await store.updateUser('u1', { city: 'Old City' });
+
+    assert.equal(await store.resetEnrichmentForBackfill(), 1);
+    const result = await enrichUsers({ dryRun: false });
+
+    assert.equal(result.totalEnriched, 1);
+    const location = await store.getUserLocation('u1');
+    assert.equal(location.city, 'Old City');
+    assert.equal(location.latitude, 37.4224);
+    assert.equal(await store.countUsersNeedingEnrichment(), 0);
+  });
+
+  it('looks IPs up again once the cache was expired', async () => {
+    await insert(['u1', '8.8.8.8']);
+    await enrichUsers({ dryRun: false });
+    await insertLegacyLocated('u2', '8.8.8.8');
+    await store.resetEnrichmentForBackfill();
+    await expireGeolocationCache();
+    const requestsBefore = server.requests.length;
+
+    const result = await enrichUsers({ dryRun: false });
+
+    assert.equal(server.requests.length - requestsBefore, 1);
+    assert.equal(result.cacheMisses, 1);
+    assert.equal((await store.getUserLocation('u2')).latitude, 37.4224);
+  });
+
+  it('enriches a single user the way a batch does, recording the attempt', async () => {
+    await insert(['u1', '8.8.8.8'], ['u2', '9.9.9.9']);
+
+    const enriched = await enrichSingleUser('u1');
+    assert.equal(enriched.outcome, 'enriched');
+    assert.equal((await store.getUserLocation('u1')).city, 'Mountain View');
+    assert.equal((await store.getUserForEnrichment('u1')).enrichment_status, 'enriched');
+
+    const failed = await enrichSingleUser('u2');
+    assert.equal(failed.outcome, 'unresolvable');
+    const row = await store.getUserForEnrichment('u2');
+    assert.equal(row.enrichment_status, 'unresolvable');
+    assert.equal(row.enrichment_attempts, 1);
+
+    await assert.rejects(enrichSingleUser('missing'), /User not found/);
+  });
+
+  it('writes nothing on a dry run', async () => {
+    await insert(['u1', '8.8.8.8']);
+    const countOutcomes = async () => (await metrics.enrichmentUsers.get()).values.reduce((sum, { value }) => sum + value, 0);
+    const outcomesBefore = await countOutcomes();
+
+    const result = await enrichUsers({ dryRun: true });
+
+    assert.equal(result.totalEnriched, 1);
+    assert.equal(result.report.enrichment.length, 1);
+    assert.equal(await countOutcomes(), outcomesBefore);
+    assert.equal((await store.getUserLocation('u1')).city, null);
+    assert.equal(await store.getCachedGeolocation('8.8.8.8'), null);
+  });
+});
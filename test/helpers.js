@@ -0,0 +1,104 @@
+const http = require('http');
+
+// Shared test setup. Settings are read once when src/config.js is first required,
+// so require this file before anything from src/ (and set per-file overrides on
+// process.env before requiring it). Each test file runs in its own process.
+const TEST_ENV = {
+  DOTENV_CONFIG_QUIET: 'true',
+  STORAGE_BACKEND: 'memory',
+  LOG_LEVEL: 'error',
+  LOG_FORMAT: 'text',
+  UPSTREAM_REQUESTS_PER_SECOND: '100',
+  UPSTREAM_MAX_RETRIES: '0',
+  UPSTREAM_TIMEOUT_MS: '2000',
+  RECONCILIATION_PAGE_DELAY_MS: '0',
+  GEOLOCATION_PROVIDERS: 'ipgeolocation',
+  IP_GEOLOCATION_API_KEY: 'test-key',
+  GEOLOCATION_MAX_RETRIES: '0',
+  ENRICHMENT_REQUESTS_PER_SECOND: '1000',
+};
+
+for (const [name, value] of Object.entries(TEST_ENV)) {
+  process.env[name] ??= value;
+}
+
+/**
+ * Start a local HTTP server answering every request with handler's result
+ * @param {function(URL, Object): {status?: number, body: *}} handler - Receives the
+ *   request URL and the parsed JSON body (or null)
+ * @returns {Promise<{url: string, requests: Array<{method: string, url: URL, body: *}>, close: function(): Promise<void>}>}
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, url, body, headers: req.headers });
+
+      let result;
+      try {
+        result = handler(url, body);
+      } catch (error) {
+        result = { status: 500, body: { message: error.message } };
+      }
+      res.writeHead(result.status || 200, { 'Content-Type': 'application/json', Connection: 'close' });
+      res.end(JSON.stringify(result.body ?? {}));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/**
+ * Handler serving pages of upstream users the way the users API does (newest first,
+ * `?page=N`, 1-based). Replace `pages` between runs to change what upstream returns.
+ * @param {{pages: Array<Array<Object>>}} upstream - Mutable page list
+ * @returns {function(URL): {body: Object}}
+ */
+function upstreamHandler(upstream) {
+  return (url) => {
+    const page = Number(url.searchParams.get('page') || 1);
+    return {
+      body: {
+        status: 1,
+        data: {
+          users: upstream.pages[page - 1] || [],
+          pagination: { page, hasNextPage: page < upstream.pages.length },
+        },
+      },
+    };
+  };
+}
+
+/**
+ * Upstream API user
+ * @param {string} userId
+ * @param {string} createdAt - ISO timestamp
+ * @param {Object} [overrides] - Other fields (email, ipAddress, updatedAt, ...)
+ * @returns {Object}
+ */
+function upstreamUser(userId, createdAt, overrides = {}) {
+  return {
+    user_id: userId,
+    email: `${userId}@example.com`,
+    ipAddress: '8.8.8.8',
+    identifierType: 'email',
+    createdAt,
+    updatedAt: createdAt,
+    ...overrides,
+  };
+}
+
+module.exports = {
+  startServer,
+  upstreamHandler,
+  upstreamUser,
+};
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyIP, ipSubnet } = require('../src/ip-classification');
+
+// [input, expected classifyIP().address, family, reason (null: public), ipSubnet()]
+const CASES = [
+  // IPv4
+  ['8.8.8.8', '8.8.8.8', 4, null, '8.8.8.0/24'],
+  [' 8.8.8.8 ', '8.8.8.8', 4, null, '8.8.8.0/24'],
+  ['0.0.0.0', '0.0.0.0', 4, 'unspecified', '0.0.0.0/24'],
+  ['10.1.2.3', '10.1.2.3', 4, 'private', '10.1.2.0/24'],
+  ['172.16.0.1', '172.16.0.1', 4, 'private', '172.16.0.0/24'],
+  ['172.31.255.255', '172.31.255.255', 4, 'private', '172.31.255.0/24'],
+  ['172.32.0.1', '172.32.0.1', 4, null, '172.32.0.0/24'],
+  ['192.168.1.1', '192.168.1.1', 4, 'private', '192.168.1.0/24'],
+  ['127.0.0.1', '127.0.0.1', 4, 'loopback', '127.0.0.0/24'],
+  ['100.64.0.1', '100.64.0.1', 4, 'cgnat', '100.64.0.0/24'],
+  ['100.127.255.254', '100.127.255.254', 4, 'cgnat', '100.127.255.0/24'],
+  ['100.128.0.1', '100.128.0.1', 4, null, '100.128.0.0/24'],
+  ['169.254.1.1', '169.254.1.1', 4, 'link-local', '169.254.1.0/24'],
+  ['192.0.2.1', '192.0.2.1', 4, 'documentation', '192.0.2.0/24'],
+  ['198.51.100.7', '198.51.100.7', 4, 'documentation', '198.51.100.0/24'],
+  ['203.0.113.7', '203.0.113.7', 4, 'documentation', '203.0.113.0/24'],
+  ['198.18.0.1', '198.18.0.1', 4, 'benchmarking', '198.18.0.0/24'],
+  ['224.0.0.1', '224.0.0.1', 4, 'multicast', '224.0.0.0/24'],
+  ['239.255.255.255', '239.255.255.255', 4, 'multicast', '239.255.255.0/24'],
+  ['240.0.0.1', '240.0.0.1', 4, 'reserved', '240.0.0.0/24'],
+  ['255.255.255.255', '255.255.255.255', 4, 'broadcast', '255.255.255.0/24'],
+
+  // IPv6
+  ['2001:4860:4860::8888', '2001:4860:4860::8888', 6, null, '2001:4860:4860::/48'],
+  ['2001:4860:4860:0000:0000:0000:0000:8888', '2001:4860:4860::8888', 6, null, '2001:4860:4860::/48'],
+  ['2001:4860:4860::8888'.toUpperCase(), '2001:4860:4860::8888', 6, null, '2001:4860:4860::/48'],
+  ['::', '::', 6, 'unspecified', '::/48'],
+  ['::1', '::1', 6, 'loopback', '::/48'],
+  ['[::1]', '::1', 6, 'loopback', '::/48'],
+  ['fe80::1', 'fe80::1', 6, 'link-local', 'fe80::/48'],
+  ['fc00::1', 'fc00::1', 6, 'unique-local', 'fc00::/48'],
+  ['fd12:3456:789a:1::1', 'fd12:3456:789a:1::1', 6, 'unique-local', 'fd12:3456:789a::/48'],
+  ['2001:db8::1', '2001:db8::1', 6, 'documentation', '2001:db8::/48'],
+  ['2001:0db8:0000::0001', '2001:db8::1', 6, 'documentation', '2001:db8::/48'],
+  ['3fff::1', '3fff::1', 6, 'documentation', '3fff::/48'],
+  ['fec0::1', 'fec0::1', 6, 'site-local', 'fec0::/48'],
+  ['ff02::1', 'ff02::1', 6, 'multicast', 'ff02::/48'],
+  ['100::1', '100::1', 6, 'discard', '100::/48'],
+  ['1::1', '1::1', 6, 'reserved', '1::/48'],
+
+  // Zone IDs are dropped
+  ['fe80::1%eth0', 'fe80::1', 6, 'link-local', 'fe80::/48'],
+  ['2606:4700::1111%1', '2606:4700::1111', 6, null, '2606:4700::/48'],
+
+  // IPv4-mapped and NAT64 addresses are classified (and looked up) as the embedded IPv4
+  ['::ffff:8.8.8.8', '8.8.8.8', 4, null, '8.8.8.0/24'],
+  ['::FFFF:808:808', '8.8.8.8', 4, null, '8.8.8.0/24'],
+  ['::ffff:10.0.0.1', '10.0.0.1', 4, 'private', '10.0.0.0/24'],
+  ['64:ff9b::8.8.8.8', '8.8.8.8', 4, null, '8.8.8.0/24'],
+  ['64:ff9b::a00:1', '10.0.0.1', 4, 'private', '10.0.0.0/24'],
+
+  // Leading zeros are ambiguous (octal?) in IPv4 and rejected
+  ['010.0.0.1', null, null, 'invalid', null],
+  ['08.8.8.8', null, null, 'invalid', null],
+
+  // Missing and malformed
+  [null, null, null, 'missing', null],
+  [undefined, null, null, 'missing', null],
+  ['', null, null, 'missing', null],
+  ['   ', null, null, 'missing', null],
+  ['abc', null, null, 'invalid', null],
+  ['1.2.3', null, null, 'invalid', null],
+  ['1.2.3.4.5', null, null, 'invalid', null],
+  ['256.1.1.1', null, null, 'invalid', null],
+  ['1.1.1.1/24', null, null, 'invalid', null],
+  ['2001:db8::g', null, null, 'invalid', null],
+  ['1::2::3', null, null, 'invalid', null],
+  ['::ffff:999.1.1.1', null, null, 'invalid', null],
+];
+
+describe('classifyIP', () => {
+  for (const [input, address, family, reason] of CASES) {
+    it(`${JSON.stringify(input)} -> ${reason || 'public'}`, () => {
+      assert.deepEqual(classifyIP(input), { address, family, public: reason === null, reason });
+    });
+  }
+});
+
+describe('ipSubnet', () => {
+  for (const [input, , , , subnet] of CASES) {
+    it(`${JSON.stringify(input)} -> ${subnet}`, () => {
+      assert.equal(ipSubnet(input), subnet);
+    });
+  }
+});
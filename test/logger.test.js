@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'debug';
+process.env.LOG_FORMAT = 'json';
+require('./helpers');
+const logger = require('../src/logger');
+const { createDryRunReport, logDryRunReport } = require('../src/dry-run');
+
+// Run fn and return the JSON entries it wrote to stdout
+function captureLogs(fn) {
+  const lines = [];
+  const write = process.stdout.write;
+  process.stdout.write = (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  };
+  try {
+    fn();
+  } finally {
+    process.stdout.write = write;
+  }
+  return lines.join('').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('logger', () => {
+  it('keeps deeply nested fields and redacts secrets inside them', () => {
+    const payload = { a: { b: { c: { d: { e: { f: 'deep', apiKey: 'secret' } } } } } };
+
+    const [entry] = captureLogs(() => logger.info('nested', { payload }));
+
+    assert.equal(entry.payload.a.b.c.d.e.f, 'deep');
+    assert.equal(entry.payload.a.b.c.d.e.apiKey, '[REDACTED]');
+  });
+
+  it('cuts circular references only', () => {
+    const shared = { name: 'shared' };
+    const circular = { left: shared, right: shared };
+    circular.self = circular;
+
+    const [entry] = captureLogs(() => logger.info('circular', { circular }));
+
+    assert.deepEqual(entry.circular, { left: { name: 'shared' }, right: { name: 'shared' }, self: '[Circular]' });
+  });
+
+  it('logs the counts of a dry run at info and the full report at debug', () => {
+    const report = createDryRunReport();
+    report.inserts.push({ user_id: 'u1' }, { user_id: 'u2' });
+    report.updates.push({ user_id: 'u1', changes: { location: { from: { city: { name: 'A' } }, to: { city: { name: 'B' } } } } });
+
+    const [summary, full] = captureLogs(() => logDryRunReport(report));
+
+    assert.equal(summary.level, 'info');
+    assert.equal(summary.inserts, 2);
+    assert.equal(summary.report, undefined);
+    assert.equal(full.level, 'debug');
+    assert.deepEqual(full.report, report);
+  });
+});
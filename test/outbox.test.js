@@ -0,0 +1,83 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, upstreamUser } = require('./helpers');
+
+process.env.WEBHOOK_SECRET = 'test-secret';
+
+let server;
+let store;
+let insertNewUsers;
+let applyUserUpdates;
+let deliverEvents;
+let createOutboxRows;
+let diffUser;
+let failDeliveredUpdates = false;
+
+before(async () => {
+  server = await startServer(() => ({ body: {} }));
+  process.env.WEBHOOK_ENDPOINTS = `${server.url}/hook`;
+  store = require('../src/memory-store');
+  const updateOutboxEvent = store.updateOutboxEvent;
+  store.updateOutboxEvent = (id, updates) => (failDeliveredUpdates && updates.status === 'delivered'
+    ? Promise.reject(new Error('update failed'))
+    : updateOutboxEvent(id, updates));
+  ({ insertNewUsers, applyUserUpdates } = require('../src/sync'));
+  ({ deliverEvents, createOutboxRows } = require('../src/outbox'));
+  ({ diffUser } = require('../src/users'));
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  store.reset();
+  failDeliveredUpdates = false;
+});
+
+describe('outbox', () => {
+  it('writes user.created events for the users actually inserted, with the stored row', async () => {
+    await insertNewUsers([upstreamUser('u1', '2024-01-01T00:00:00Z')]);
+    await insertNewUsers([upstreamUser('u1', '2024-01-01T00:00:00Z'), upstreamUser('u2', '2024-01-02T00:00:00Z')]);
+
+    const rows = await store.getDueOutboxEvents(10);
+    assert.deepEqual(rows.map(row => row.user_id), ['u1', 'u2']);
+    assert.equal(rows[1].payload.type, 'user.created');
+    assert.equal(rows[1].payload.data.user.user_id, 'u2');
+    assert.ok(rows[1].payload.data.user.ingested_at);
+  });
+
+  it('writes the change history row and the user.updated event with the update', async () => {
+    await insertNewUsers([upstreamUser('u1', '2024-01-01T00:00:00Z')]);
+    const [stored] = await store.getUsersByIds(['u1']);
+    const diff = diffUser(stored, upstreamUser('u1', '2024-01-01T00:00:00Z', { email: 'new@example.com', updatedAt: '2024-02-01T00:00:00Z' }));
+
+    assert.equal(await applyUserUpdates([{ userId: 'u1', diff }]), 1);
+
+    const updated = (await store.getDueOutboxEvents(10)).filter(row => row.event_type === 'user.updated');
+    assert.equal(updated.length, 1);
+    assert.deepEqual(updated[0].payload.data.changes.email, { from: 'u1@example.com', to: 'new@example.com' });
+  });
+
+  it('never builds an event without data', async () => {
+    const rows = createOutboxRows('user.updated', [{ userId: 'u1' }, { userId: 'u2', data: null }]);
+
+    assert.equal(rows.length, 2);
+    for (const row of rows) {
+      assert.equal(row.payload.type, 'user.updated');
+      assert.deepEqual(row.payload.data, {});
+    }
+
+    await store.insertOutboxEvents(rows);
+    assert.deepEqual((await store.getDueOutboxEvents(10)).map(row => row.payload.data), [{}, {}]);
+  });
+
+  it('fails the delivery run instead of rescheduling when recording a delivery fails', async () => {
+    await insertNewUsers([upstreamUser('u1', '2024-01-01T00:00:00Z')]);
+    failDeliveredUpdates = true;
+
+    await assert.rejects(deliverEvents(), /update failed/);
+
+    const [row] = await store.getDueOutboxEvents(10);
+    assert.equal(row.attempts, 0);
+    assert.equal(row.last_error, null);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+
+let store;
+let scoreRisk;
+let clearRiskScores;
+// Risk score written per user, kept across runs
+const scores = new Map();
+
+before(() => {
+  store = require('../src/memory-store');
+  const applyRiskScores = store.applyRiskScores;
+  store.applyRiskScores = async (updates) => {
+    await applyRiskScores(updates);
+    for (const update of updates) {
+      scores.set(update.user_id, update);
+    }
+  };
+  ({ scoreRisk, clearRiskScores } = require('../src/risk-scoring'));
+});
+
+beforeEach(() => {
+  store.reset();
+  scores.clear();
+});
+
+// Users without an IP address, so they are due a risk score right away
+async function insertUnscored(...users) {
+  await store.insertUsers(users.map(([userId, email, createdAt]) => ({
+    user_id: userId,
+    email,
+    ipAddress: null,
+    createdAt,
+  })));
+}
+
+describe('scoreRisk', () => {
+  it('flags only the later account of an email alias pair scored together', async () => {
+    await insertUnscored(
+      ['u1', 'jane+promo@example.com', '2024-01-02T00:00:00Z'],
+      ['u2', 'jane@example.com', '2024-01-01T00:00:00Z'],
+    );
+
+    const result = await scoreRisk();
+
+    assert.equal(result.scored, 2);
+    assert.equal(result.flagged, 1);
+    assert.equal(scores.get('u2').risk_score, 0);
+    assert.deepEqual(scores.get('u1').risk_reasons.map(reason => reason.signal), ['email_alias']);
+    assert.match(scores.get('u1').risk_reasons[0].detail, /1 earlier account /);
+  });
+
+  it('leaves the original account unflagged when it is rescored after its alias', async () => {
+    await insertUnscored(['u1', 'j.ane@gmail.com', '2024-01-01T00:00:00Z']);
+    await scoreRisk();
+    await insertUnscored(['u2', 'jane+x@googlemail.com', '2024-01-02T00:00:00Z']);
+    await scoreRisk();
+
+    assert.equal(scores.get('u1').risk_score, 0);
+    assert.equal(scores.get('u2').risk_score, 25);
+
+    await clearRiskScores();
+    assert.equal((await scoreRisk()).flagged, 1);
+    assert.equal(scores.get('u1').risk_score, 0);
+    assert.deepEqual(scores.get('u1').risk_reasons, []);
+    assert.equal(scores.get('u2').risk_score, 25);
+  });
+});
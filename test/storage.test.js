@@ -0,0 +1,150 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+
+// The storage interface (see src/storage.js) as implemented by the memory backend,
+// which the other tests run against
+
+let store;
+
+before(() => {
+  store = require('../src/memory-store');
+});
+
+beforeEach(() => {
+  store.reset();
+});
+
+function user(userId, ipAddress = '8.8.8.8') {
+  return { user_id: userId, email: `${userId}@example.com`, ipAddress, createdAt: '2024-01-01T00:00:00Z' };
+}
+
+describe('memory storage backend', () => {
+  it('keeps sync state values until deleted', async () => {
+    await store.setSyncState({ a: '1', b: '2' });
+    await store.deleteSyncState('a');
+
+    assert.equal(await store.getSyncState('a'), null);
+    assert.equal(await store.getSyncState('b'), '2');
+  });
+
+  it('inserts new users only and returns the rows inserted', async () => {
+    const first = await store.insertUsers([user('u1'), user('u2')]);
+    const second = await store.insertUsers([user('u2'), user('u3')]);
+
+    assert.deepEqual(first.map(row => row.user_id), ['u1', 'u2']);
+    assert.deepEqual(second.map(row => row.user_id), ['u3']);
+    assert.equal(second[0].ip_address, '8.8.8.8');
+    assert.deepEqual(await store.listUserIds(2, 'u1'), ['u2', 'u3']);
+  });
+
+  it('inserts a user_id repeated within one batch once, from its first row', async () => {
+    const inserted = await store.insertUsers([user('u1', '8.8.8.8'), user('u1', '1.1.1.1')]);
+
+    assert.deepEqual(inserted.map(row => row.ip_address), ['8.8.8.8']);
+    assert.equal((await store.getUsersByIds(['u1']))[0].ip_address, '8.8.8.8');
+  });
+
+  it('records inserts in the dry-run report instead of storing them', async () => {
+    const { createDryRunReport } = require('../src/dry-run');
+    const report = createDryRunReport();
+
+    await store.insertUsers([user('u1')], { dryRun: report });
+
+    assert.equal(report.inserts.length, 1);
+    assert.deepEqual(await store.listUserIds(10), []);
+  });
+
+  it('returns enrichment candidates in user_id order from the keyset cursor', async () => {
+    await store.insertUsers([user('u3'), user('u1'), user('u2'), user('u4', null)]);
+
+    assert.deepEqual((await store.getUsersNeedingEnrichment(2)).map(row => row.user_id), ['u1', 'u2']);
+    assert.deepEqual((await store.getUsersNeedingEnrichment(2, 'u2')).map(row => row.user_id), ['u3']);
+    assert.equal(await store.countUsersNeedingEnrichment(), 3);
+  });
+
+  it('only fills null location columns but always overwrites the status columns', async () => {
+    await store.insertUsers([user('u1')]);
+    await store.updateUser('u1', { city: 'Berlin' });
+
+    await store.applyEnrichmentUpdates([
+      { user_id: 'u1', city: 'Munich', country_code: 'DE', enrichment_status: 'enriched', enrichment_attempts: 1 },
+    ]);
+
+    const location = await store.getUserLocation('u1');
+    assert.equal(location.city, 'Berlin');
+    assert.equal(location.country_code, 'DE');
+    assert.equal(await store.countUsersNeedingEnrichment(), 0);
+  });
+
+  it('keeps the stored payload and provider when an enrichment update has none', async () => {
+    await store.insertUsers([user('u1')]);
+    await store.applyEnrichmentUpdates([
+      { user_id: 'u1', city: 'Berlin', geolocation_provider: 'ip-api', geolocation_payload: { city: 'Berlin' }, enrichment_status: 'enriched', enrichment_attempts: 1 },
+    ]);
+    await store.applyEnrichmentUpdates([
+      { user_id: 'u1', geolocation_provider: null, geolocation_payload: null, enrichment_status: 'enriched', enrichment_attempts: 2 },
+    ]);
+
+    // The backfill only queues enriched users without a stored payload
+    assert.equal(await store.resetEnrichmentForBackfill(), 0);
+    assert.equal((await store.getUserLocation('u1')).city, 'Berlin');
+  });
+
+  it('treats an empty country_code as located when picking users to risk-score, like SQL', async () => {
+    await store.insertUsers([user('u1'), user('u2')]);
+    await store.updateUser('u1', { country_code: '' });
+
+    assert.deepEqual((await store.getUsersNeedingRiskScore(10)).map(row => row.user_id), ['u1']);
+  });
+
+  it('leaves users whose retry backoff has not elapsed out of the candidates', async () => {
+    await store.insertUsers([user('u1')]);
+    await store.updateUser('u1', {
+      enrichment_status: 'retry',
+      enrichment_next_attempt_at: new Date(Date.now() + 60000).toISOString(),
+    });
+
+    assert.equal(await store.countUsersNeedingEnrichment(), 0);
+  });
+
+  it('counts signups from the same stored subnet, IPv4-mapped addresses included', async () => {
+    await store.insertUsers([user('u1', '8.8.8.1'), user('u2', '::ffff:8.8.8.2'), user('u3', '8.8.9.1')]);
+
+    assert.equal((await store.getUsersByIds(['u2']))[0].ip_address, '::ffff:8.8.8.2');
+    const [related] = await store.countRelatedSignups(['u1'], 60);
+    assert.deepEqual(related, { user_id: 'u1', ip_signups: 0, subnet_signups: 1 });
+  });
+
+  it('grants a lock to one owner until it is released or expires', async () => {
+    assert.equal((await store.acquireLock('sync', 'a', 60000)).acquired, true);
+    assert.equal((await store.acquireLock('sync', 'b', 60000)).acquired, false);
+    assert.equal(await store.renewLock('sync', 'b', 60000), false);
+
+    await store.releaseLock('sync', 'a');
+    assert.equal((await store.acquireLock('sync', 'b', -1)).acquired, true);
+    const takeover = await store.acquireLock('sync', 'c', 60000);
+    assert.deepEqual(takeover, { acquired: true, recovered: true });
+  });
+
+  it('skips outbox rows already stored for the same event and endpoint', async () => {
+    const row = { event_id: 'e1', event_type: 'user.created', user_id: 'u1', endpoint: 'http://a', payload: {} };
+
+    await store.insertOutboxEvents([row, { ...row, endpoint: 'http://b' }]);
+    await store.insertOutboxEvents([row]);
+
+    assert.deepEqual(await store.countOutboxEvents(), { pending: 2, delivered: 0, dead: 0 });
+    const [due] = await store.getDueOutboxEvents(1);
+    await store.updateOutboxEvent(due.id, { status: 'dead' });
+    assert.equal(await store.requeueDeadOutboxEvents(), 1);
+  });
+
+  it('caches geolocation payloads per IP', async () => {
+    await store.saveCachedGeolocation('8.8.8.8', { ip: '8.8.8.8' }, 'ip-api');
+
+    const cached = await store.getCachedGeolocation('8.8.8.8');
+    assert.equal(cached.provider, 'ip-api');
+    assert.deepEqual(cached.payload, { ip: '8.8.8.8' });
+    assert.ok(cached.fetched_at);
+  });
+});
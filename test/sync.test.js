@@ -0,0 +1,306 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, upstreamHandler, upstreamUser } = require('./helpers');
+
+const upstream = { pages: [] };
+let server;
+let store;
+let syncUsers;
+let getCheckpoint;
+let reconcileUsers;
+let metrics;
+let refreshRollups;
+let failInserts = false;
+const savedReports = [];
+
+before(async () => {
+  server = await startServer(upstreamHandler(upstream));
+  process.env.API_BASE_URL = `${server.url}/users`;
+  store = require('../src/memory-store');
+  // sync.js binds the storage functions when it is loaded, so wrap before that
+  const insertUsers = store.insertUsers;
+  store.insertUsers = (...args) => (failInserts ? Promise.reject(new Error('insert failed')) : insertUsers(...args));
+  const insertReconciliationReport = store.insertReconciliationReport;
+  store.insertReconciliationReport = (report) => {
+    savedReports.push(report);
+    return insertReconciliationReport(report);
+  };
+  ({ syncUsers } = require('../src/sync'));
+  ({ getCheckpoint } = require('../src/checkpoint'));
+  ({ reconcileUsers } = require('../src/reconciliation'));
+  metrics = require('../src/metrics');
+  ({ refreshRollups } = require('../src/rollups'));
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  store.reset();
+  upstream.pages = [];
+  failInserts = false;
+  savedReports.length = 0;
+});
+
+describe('syncUsers', () => {
+  it('runs a full sync without a checkpoint and sets it to the newest user', async () => {
+    upstream.pages = [
+      [upstreamUser('u4', '2024-01-04T00:00:00Z'), upstreamUser('u3', '2024-01-03T00:00:00Z')],
+      [upstreamUser('u2', '2024-01-02T00:00:00Z'), upstreamUser('u1', '2024-01-01T00:00:00Z')],
+    ];
+
+    const result = await syncUsers({ dryRun: false });
+
+    assert.equal(result.mode, 'full');
+    assert.equal(result.inserted, 4);
+    assert.equal(result.pagesFetched, 2);
+    assert.deepEqual(await store.listUserIds(10), ['u1', 'u2', 'u3', 'u4']);
+    assert.equal((await getCheckpoint()).userId, 'u4');
+    assert.equal(await store.getSyncState('full_sync_progress'), null);
+  });
+
+  it('does not record a full sync page as done when writing it failed', async () => {
+    upstream.pages = [
+      [upstreamUser('u2', '2024-01-02T00:00:00Z')],
+      [upstreamUser('u1', '2024-01-01T00:00:00Z')],
+    ];
+    failInserts = true;
+
+    await assert.rejects(syncUsers({ dryRun: false }), /insert failed/);
+    assert.equal(await store.getSyncState('full_sync_progress'), null);
+
+    failInserts = false;
+    const result = await syncUsers({ dryRun: false });
+    assert.equal(result.mode, 'full');
+    assert.deepEqual(await store.listUserIds(10), ['u1', 'u2']);
+  });
+
+  it('inserts only the users newer than the checkpoint on an incremental sync', async () => {
+    upstream.pages = [[upstreamUser('u2', '2024-01-02T00:00:00Z'), upstreamUser('u1', '2024-01-01T00:00:00Z')]];
+    await syncUsers({ dryRun: false });
+
+    upstream.pages = [
+      [upstreamUser('u5', '2024-01-05T00:00:00Z'), upstreamUser('u4', '2024-01-04T00:00:00Z')],
+      [upstreamUser('u3', '2024-01-03T00:00:00Z'), upstreamUser('u2', '2024-01-02T00:00:00Z')],
+      [upstreamUser('u1', '2024-01-01T00:00:00Z')],
+    ];
+    const result = await syncUsers({ dryRun: false });
+
+    assert.equal(result.mode, 'incremental');
+    assert.equal(result.inserted, 3);
+    assert.equal(result.pagesFetched, 2);
+    assert.equal((await getCheckpoint()).userId, 'u5');
+  });
+
+  it('applies upstream changes to users it sees again and records them', async () => {
+    upstream.pages = [[upstreamUser('u1', '2024-01-01T00:00:00Z')]];
+    await syncUsers({ dryRun: false });
+
+    upstream.pages = [[upstreamUser('u1', '2024-01-01T00:00:00Z', { ipAddress: '1.1.1.1', updatedAt: '2024-02-01T00:00:00Z' })]];
+    const result = await syncUsers({ dryRun: false });
+
+    assert.equal(result.updated, 1);
+    const [stored] = await store.getUsersByIds(['u1']);
+    assert.equal(stored.ip_address, '1.1.1.1');
+  });
+
+  it('quarantines invalid users and stores the rest of the page', async () => {
+    upstream.pages = [[
+      upstreamUser('u2', '2024-01-02T00:00:00Z'),
+      upstreamUser('bad', 'yesterday'),
+      upstreamUser('u1', '2024-01-01T00:00:00Z'),
+    ]];
+
+    const result = await syncUsers({ dryRun: false });
+
+    assert.equal(result.inserted, 2);
+    assert.equal(result.quarantined, 1);
+    assert.deepEqual(await store.listUserIds(10), ['u1', 'u2']);
+  });
+
+  it('builds the full sync checkpoint from the first page with a valid user', async () => {
+    upstream.pages = [
+      [upstreamUser('bad', 'yesterday')],
+      [upstreamUser('u2', '2024-01-02T00:00:00Z')],
+      [upstreamUser('u1', '2024-01-01T00:00:00Z')],
+    ];
+
+    const result = await syncUsers({ dryRun: false });
+
+    assert.equal(result.inserted, 2);
+    assert.equal(result.quarantined, 1);
+    assert.equal((await getCheckpoint()).userId, 'u2');
+  });
+
+  it('walks past an incremental page whose users were all quarantined', async () => {
+    upstream.pages = [[upstreamUser('u1', '2024-01-01T00:00:00Z')]];
+    await syncUsers({ dryRun: false });
+
+    upstream.pages = [
+      [upstreamUser('bad', 'yesterday')],
+      [upstreamUser('u3', '2024-01-03T00:00:00Z'), upstreamUser('u2', '2024-01-02T00:00:00Z')],
+      [upstreamUser('u1', '2024-01-01T00:00:00Z')],
+    ];
+    const result = await syncUsers({ dryRun: false });
+
+    assert.equal(result.inserted, 2);
+    assert.equal(result.pagesFetched, 3);
+    assert.equal((await getCheckpoint()).userId, 'u3');
+  });
+
+  it('keeps the checkpoint when every user newer than it was quarantined', async () => {
+    upstream.pages = [[upstreamUser('u1', '2024-01-01T00:00:00Z')]];
+    await syncUsers({ dryRun: false });
+
+    upstream.pages = [[upstreamUser('bad', 'yesterday')]];
+    const result = await syncUsers({ dryRun: false });
+
+    assert.equal(result.quarantined, 1);
+    assert.equal(result.pagesFetched, 1);
+    assert.equal((await getCheckpoint()).userId, 'u1');
+  });
+
+  it('runs a forced full sync with a checkpoint and keeps walking past synced users', async () => {
+    upstream.pages = [[upstreamUser('u2', '2024-01-02T00:00:00Z')], [upstreamUser('u1', '2024-01-01T00:00:00Z')]];
+    await syncUsers({ dryRun: false });
+    await store.updateUser('u1', { email: 'stale@example.com', updated_at: '2023-12-01T00:00:00Z' });
+
+    upstream.pages[1][0] = upstreamUser('u1', '2024-01-01T00:00:00Z', { updatedAt: '2024-02-01T00:00:00Z' });
+    const result = await syncUsers({ dryRun: false, full: true });
+
+    assert.equal(result.mode, 'full');
+    assert.equal(result.pagesFetched, 2);
+    assert.equal(result.updated, 1);
+  });
+
+  it('syncs only the users created within a date range and leaves the checkpoint alone', async () => {
+    upstream.pages = [[upstreamUser('u5', '2024-01-05T00:00:00Z')]];
+    await syncUsers({ dryRun: false });
+
+    upstream.pages = [
+      [upstreamUser('u5', '2024-01-05T00:00:00Z'), upstreamUser('u4', '2024-01-04T00:00:00Z')],
+      [upstreamUser('u3', '2024-01-03T00:00:00Z'), upstreamUser('u2', '2024-01-02T00:00:00Z')],
+      [upstreamUser('u1', '2024-01-01T00:00:00Z')],
+    ];
+    const range = { from: new Date('2024-01-03T00:00:00Z'), to: new Date('2024-01-04T00:00:00Z') };
+    const result = await syncUsers({ dryRun: false, range });
+
+    assert.equal(result.mode, 'range');
+    assert.equal(result.inserted, 2);
+    assert.equal(result.pagesFetched, 2);
+    assert.deepEqual(await store.listUserIds(10), ['u3', 'u4', 'u5']);
+    assert.equal((await getCheckpoint()).userId, 'u5');
+  });
+
+  it('writes nothing on a dry run and reports the intended writes', async () => {
+    upstream.pages = [[upstreamUser('u1', '2024-01-01T00:00:00Z')]];
+
+    const result = await syncUsers({ dryRun: true });
+
+    assert.equal(result.report.inserts.length, 1);
+    assert.equal(result.report.checkpoint.to.userId, 'u1');
+    assert.deepEqual(await store.listUserIds(10), []);
+    assert.equal(await getCheckpoint(), null);
+  });
+
+  it('reports dry-run writes without counting them in the metrics', async () => {
+    const counterValue = async counter => (await counter.get()).values.reduce((sum, { value }) => sum + value, 0);
+    const before = [await counterValue(metrics.usersInserted), await counterValue(metrics.usersQuarantined)];
+    upstream.pages = [[upstreamUser('u1', '2024-01-01T00:00:00Z'), upstreamUser('bad', 'yesterday')]];
+
+    const result = await syncUsers({ dryRun: true });
+
+    assert.equal(result.inserted, 1);
+    assert.equal(result.quarantined, 1);
+    assert.deepEqual([await counterValue(metrics.usersInserted), await counterValue(metrics.usersQuarantined)], before);
+  });
+});
+
+describe('rollups', () => {
+  it('moves a user out of its old signup day when upstream changes created_at', async () => {
+    upstream.pages = [[upstreamUser('u1', '2024-01-01T00:00:00Z')]];
+    await syncUsers({ dryRun: false });
+
+    upstream.pages = [[upstreamUser('u1', '2024-01-05T00:00:00Z', { updatedAt: '2024-02-01T00:00:00Z' })]];
+    await syncUsers({ dryRun: false });
+
+    const daily = store.getUserRollups().daily.map(({ day, signups }) => ({ day, signups }));
+    assert.deepEqual(daily, [{ day: '2024-01-05', signups: 1 }]);
+  });
+
+  it('skips a refresh while another one holds the lock', async () => {
+    const [first, second] = await Promise.all([refreshRollups(), refreshRollups()]);
+
+    assert.equal(first.skipped, false);
+    assert.equal(second.skipped, true);
+  });
+});
+
+describe('reconcileUsers', () => {
+  it('reports changes to users below the checkpoint and applies them only with repair', async () => {
+    upstream.pages = [
+      [upstreamUser('u3', '2024-01-03T00:00:00Z')],
+      [upstreamUser('u2', '2024-01-02T00:00:00Z'), upstreamUser('u1', '2024-01-01T00:00:00Z')],
+    ];
+    await syncUsers({ dryRun: false });
+
+    upstream.pages[1][1] = upstreamUser('u1', '2024-01-01T00:00:00Z', { email: 'new@example.com', updatedAt: '2024-03-01T00:00:00Z' });
+    const incremental = await syncUsers({ dryRun: false });
+    assert.equal(incremental.updated, 0);
+
+    const report = await reconcileUsers({ repair: false });
+    assert.equal(report.changed_count, 1);
+    assert.equal(report.updated_count, 0);
+    assert.equal((await store.getUsersByIds(['u1']))[0].email, 'u1@example.com');
+
+    const repaired = await reconcileUsers({ repair: true });
+    assert.equal(repaired.updated_count, 1);
+    assert.equal((await store.getUsersByIds(['u1']))[0].email, 'new@example.com');
+  });
+
+  it('counts extra users only when every upstream page was walked', async () => {
+    upstream.pages = [[upstreamUser('u2', '2024-01-02T00:00:00Z')], [upstreamUser('u1', '2024-01-01T00:00:00Z')]];
+    await syncUsers({ dryRun: false });
+
+    upstream.pages[1] = { users: 'not a list' };
+    await assert.rejects(reconcileUsers({ repair: false }), /malformed page 2/);
+    assert.equal(savedReports[0].status, 'failed');
+    assert.equal(savedReports[0].extra_count, null);
+
+    upstream.pages = [[upstreamUser('u2', '2024-01-02T00:00:00Z')]];
+    const report = await reconcileUsers({ repair: false });
+    assert.equal(report.extra_count, 1);
+    assert.deepEqual(report.extra_sample, ['u1']);
+  });
+
+  it('inserts missing users only with repair', async () => {
+    upstream.pages = [[upstreamUser('u1', '2024-01-01T00:00:00Z')]];
+
+    const report = await reconcileUsers({ repair: false });
+    assert.equal(report.missing_count, 1);
+    assert.deepEqual(await store.listUserIds(10), []);
+
+    await reconcileUsers({ repair: true });
+    assert.deepEqual(await store.listUserIds(10), ['u1']);
+  });
+
+  it('writes nothing on a dry run and reports the intended writes', async () => {
+    upstream.pages = [[upstreamUser('u1', '2024-01-01T00:00:00Z')]];
+    await syncUsers({ dryRun: false });
+    const outboxBefore = store.getOutboxEvents();
+    upstream.pages = [[
+      upstreamUser('u2', '2024-01-02T00:00:00Z'),
+      upstreamUser('u1', '2024-01-01T00:00:00Z', { email: 'new@example.com', updatedAt: '2024-03-01T00:00:00Z' }),
+    ]];
+
+    const report = await reconcileUsers({ repair: true, dryRun: true });
+
+    assert.equal(report.missing_count, 1);
+    assert.equal(report.changed_count, 1);
+    assert.equal(report.dry_run.inserts.length, 1);
+    assert.equal(report.dry_run.updates.length, 1);
+    assert.deepEqual(await store.listUserIds(10), ['u1']);
+    assert.equal((await store.getUsersByIds(['u1']))[0].email, 'u1@example.com');
+    assert.deepEqual(store.getOutboxEvents(), outboxBefore);
+    assert.deepEqual(savedReports, []);
+  });
+});